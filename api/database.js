@@ -1,8 +1,54 @@
 // MongoDB User Tracking Service for Vercel
 const { MongoClient } = require('mongodb');
+const { IP_MODES, anonymizeIp } = require('../utils/privacy');
 
 let cachedDb = null;
 
+function daysFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// Days to keep documents of each collection (0 keeps them forever). There is no
+// process to run a purge here, so MongoDB's TTL indexes on createdAt expire them.
+const RETENTION_DAYS = {
+    user_visits: daysFromEnv('RETENTION_VISITS_DAYS', 90),
+    location_updates: daysFromEnv('RETENTION_LOCATION_UPDATES_DAYS', 30)
+};
+
+// How IP addresses are stored, as on the socket server. Instances come and go,
+// so hashes only stay comparable with a fixed IP_HASH_SECRET; without one they
+// are truncated instead.
+const IP_MODE = IP_MODES.includes(process.env.IP_ANONYMIZATION) ? process.env.IP_ANONYMIZATION : 'truncate';
+
+function storedIp(ip) {
+    if (!ip) return ip;
+
+    const mode = IP_MODE === 'hash' && !process.env.IP_HASH_SECRET ? 'truncate' : IP_MODE;
+    // Proxies list the client first
+    return anonymizeIp(String(ip).split(',')[0].trim(), mode, process.env.IP_HASH_SECRET);
+}
+
+async function ensureRetentionIndexes(db) {
+    for (const [name, days] of Object.entries(RETENTION_DAYS)) {
+        const collection = db.collection(name);
+        if (days === 0) {
+            await collection.dropIndex('createdAt_ttl').catch(() => {});
+            continue;
+        }
+
+        const expireAfterSeconds = days * 24 * 60 * 60;
+
+        try {
+            await collection.createIndex({ createdAt: 1 }, { name: 'createdAt_ttl', expireAfterSeconds });
+        } catch (error) {
+            // The index exists with another period: change it in place
+            if (error.codeName !== 'IndexOptionsConflict') throw error;
+            await db.command({ collMod: name, index: { name: 'createdAt_ttl', expireAfterSeconds } });
+        }
+    }
+}
+
 async function connectToDatabase() {
     if (cachedDb) {
         return cachedDb;
@@ -18,6 +64,12 @@ async function connectToDatabase() {
         const db = client.db();
         cachedDb = db;
         console.log('✅ MongoDB connected successfully');
+
+        try {
+            await ensureRetentionIndexes(db);
+        } catch (error) {
+            console.error('❌ Failed to set up retention indexes:', error.message);
+        }
         return db;
     } catch (error) {
         console.error('❌ MongoDB connection failed:', error.message);
@@ -32,6 +84,7 @@ async function logUserVisit(visitData) {
         
         const visit = {
             ...visitData,
+            ip: storedIp(visitData.ip),
             timestamp: new Date(),
             createdAt: new Date()
         };
@@ -52,6 +105,7 @@ async function logLocationUpdate(locationData) {
         
         const location = {
             ...locationData,
+            ip: storedIp(locationData.ip),
             timestamp: new Date(),
             createdAt: new Date()
         };
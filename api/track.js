@@ -1,5 +1,6 @@
 // User Visit Tracking API
 const { logUserVisit } = require('./database');
+const { deviceIdFromToken } = require('../utils/deviceId');
 
 module.exports = async (req, res) => {
     try {
@@ -41,12 +42,17 @@ module.exports = async (req, res) => {
             // Ignore parsing errors
         }
 
+        // Only the hash of the device token is kept, to match privacy requests against
+        const { deviceToken, ...pageData } = additionalData;
+        additionalData = pageData;
+
         // Create visit data
         const visitData = {
             ip: ip.split(',')[0].trim(), // Get first IP if multiple
             userAgent,
             referer,
             host,
+            deviceId: deviceIdFromToken(deviceToken),
             page: additionalData.page || '/',
             sessionId: additionalData.sessionId || generateSessionId(),
             browser: parseBrowser(userAgent),
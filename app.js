@@ -1,13 +1,31 @@
 const express = require("express");
 const { createServer } = require("http");
 const path = require("path");
+const { Readable, pipeline } = require("stream");
 const { Server } = require("socket.io");
 const dotenv = require("dotenv");
-const DatabaseService = require("./services/DatabaseService");
 
-// Load environment variables from .env file
+// Load environment variables from .env file before the services read them
 dotenv.config();
 
+const DatabaseService = require("./services/DatabaseService");
+const GroupService = require("./services/GroupService");
+const PresenceService = require("./services/PresenceService");
+const ShareService = require("./services/ShareService");
+const GeofenceService = require("./services/GeofenceService");
+const TripService = require("./services/TripService");
+const ExportService = require("./services/ExportService");
+const ImportService = require("./services/ImportService");
+const HistoryService = require("./services/HistoryService");
+const RateLimitService = require("./services/RateLimitService");
+const EnvironmentalService = require("./services/EnvironmentalService");
+const GeocodingService = require("./services/GeocodingService");
+const LocationFilterService = require("./services/LocationFilterService");
+const RetentionService = require("./services/RetentionService");
+const PrivacyService = require("./services/PrivacyService");
+const { validateEvent } = require("./utils/validation");
+const { deviceIdFromToken } = require("./utils/deviceId");
+
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -20,135 +38,12 @@ app.set("view engine", "ejs");
 // Serve static files from public directory
 app.use(express.static(path.join(path.resolve(), "public")));
 
-// Environmental Data Service
-class EnvironmentalService {
-    constructor() {
-        // Use environment variables for API keys (secure for GitHub)
-        this.weatherApiKey = process.env.OPENWEATHER_API_KEY || 'your_openweather_api_key';
-        this.airQualityApiKey = process.env.AIRQUALITY_API_KEY || 'your_airquality_api_key';
-        
-        // Validate API key format
-        this.validateApiKey();
-    }
-
-    validateApiKey() {
-        console.log('🔑 Weather API Key configured:', this.weatherApiKey.substring(0, 8) + '...');
-        
-        if (this.weatherApiKey === 'your_actual_api_key_here') {
-            console.log('⚠️ Please configure your real OpenWeatherMap API key');
-        } else if (this.weatherApiKey.length !== 32) {
-            console.log('⚠️ Warning: OpenWeatherMap API keys are typically 32 characters long');
-        } else {
-            console.log('✅ API key format looks correct');
-        }
-    }
-
-    async getWeatherData(lat, lng) {
-        try {
-            // Check if we have a valid API key
-            if (this.weatherApiKey === 'your_actual_api_key_here') {
-                console.log('🌡️ Using mock weather data (no API key configured)');
-                return this.getMockWeatherData();
-            }
-
-            // For Node.js environments that don't have fetch built-in
-            if (typeof fetch === 'undefined') {
-                console.log('🌡️ Fetch not available, using mock weather data');
-                return this.getMockWeatherData();
-            }
-            
-            // OpenWeatherMap API call
-            const weatherUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lng}&appid=${this.weatherApiKey}&units=metric`;
-            console.log('🌐 Calling weather API for coordinates:', lat, lng);
-            
-            const response = await fetch(weatherUrl);
-            
-            if (!response.ok) {
-                if (response.status === 401) {
-                    console.error('❌ Weather API 401 Error: Invalid API key or key not activated yet');
-                    console.log('💡 Solutions:');
-                    console.log('   1. Wait 10-15 minutes for new API key activation');
-                    console.log('   2. Verify your email in OpenWeatherMap account');
-                    console.log('   3. Check API key at: https://home.openweathermap.org/api_keys');
-                    console.log('   4. Create a new API key if needed');
-                    console.log('🔄 Falling back to mock weather data for now...');
-                } else if (response.status === 429) {
-                    console.error('❌ Weather API 429 Error: Rate limit exceeded');
-                } else {
-                    console.error(`❌ Weather API ${response.status} Error:`, await response.text());
-                }
-                
-                // Fall back to mock data instead of throwing error
-                console.log('🌡️ Using mock weather data due to API error');
-                return this.getMockWeatherData();
-            }
-            
-            const data = await response.json();
-            console.log('✅ Real weather data received:', {
-                temp: data.main.temp,
-                humidity: data.main.humidity,
-                location: data.name
-            });
-            
-            return {
-                temperature: Math.round(data.main.temp),
-                humidity: data.main.humidity,
-                pressure: data.main.pressure,
-                windSpeed: Math.round(data.wind?.speed * 3.6) || 0, // Convert m/s to km/h
-                visibility: Math.round((data.visibility || 10000) / 1000), // Convert to km
-                uvIndex: 0 // Would need additional API call for UV
-            };
-        } catch (error) {
-            console.error('Weather API error:', error);
-            console.log('🌡️ Using mock weather data due to error');
-            return this.getMockWeatherData();
-        }
-    }
-
-    async getAirQualityData(lat, lng) {
-        try {
-            // Air Quality API call (you can use various services)
-            // For demo, returning mock data
-            return this.getMockAirQualityData();
-        } catch (error) {
-            console.error('Air Quality API error:', error);
-            return this.getMockAirQualityData();
-        }
-    }
-
-    getMockWeatherData() {
-        return {
-            temperature: Math.round(15 + Math.random() * 20), // 15-35°C
-            humidity: Math.round(40 + Math.random() * 40), // 40-80%
-            pressure: Math.round(1000 + Math.random() * 50), // 1000-1050 hPa
-            windSpeed: Math.round(Math.random() * 25), // 0-25 km/h
-            visibility: Math.round(5 + Math.random() * 15), // 5-20 km
-            uvIndex: Math.round(Math.random() * 11) // 0-11
-        };
-    }
-
-    getMockAirQualityData() {
-        const aqiLevels = ['Good', 'Moderate', 'Unhealthy for Sensitive', 'Unhealthy', 'Very Unhealthy'];
-        return {
-            aqi: aqiLevels[Math.floor(Math.random() * aqiLevels.length)],
-            pm25: Math.round(10 + Math.random() * 50),
-            pm10: Math.round(20 + Math.random() * 80)
-        };
-    }
-
-    async getEnvironmentalData(lat, lng) {
-        const weather = await this.getWeatherData(lat, lng);
-        const airQuality = await this.getAirQualityData(lat, lng);
-        
-        return {
-            ...weather,
-            airQuality: airQuality.aqi,
-            timestamp: new Date().toISOString()
-        };
-    }
-}
+// Id of the device whose token came in the X-Device-Token header, if any
+const deviceIdOf = (req) => deviceIdFromToken(req.get('x-device-token'));
 
-const environmentalService = new EnvironmentalService();
+// Parse JSON request bodies, except track uploads which read the raw file
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonParser(req, res, next)));
 
 // Initialize Database Connection
 async function initializeDatabase() {
@@ -159,6 +54,12 @@ async function initializeDatabase() {
         // Log database stats on startup
         const stats = await DatabaseService.getDatabaseStats();
         console.log('📊 Database Stats:', stats);
+        
+        // Restore geofences created before this process started
+        await GeofenceService.loadGeofences();
+        
+        // Purge data past its retention period, now and periodically
+        RetentionService.start();
     } catch (error) {
         console.error('❌ Database initialization failed:', error);
         console.log('⚠️ App will continue without database logging');
@@ -186,7 +87,12 @@ app.get("/health", (req, res) => {
         status: "healthy",
         timestamp: new Date().toISOString(),
         database: DatabaseService.isConnected ? "connected" : "disconnected",
-        weather_api: process.env.OPENWEATHER_API_KEY ? "configured" : "not_configured"
+        activeDevices: PresenceService.getDeviceCount(),
+        environmental_cache: EnvironmentalService.cache.getStats(),
+        weather_api: process.env.OPENWEATHER_API_KEY ? "configured" : "not_configured",
+        environmental_providers: EnvironmentalService.getProviderNames(),
+        geocoding: GeocodingService.getStats(),
+        location_filter: LocationFilterService.getStats()
     });
 });
 
@@ -199,14 +105,21 @@ app.get("/admin", async (req, res) => {
 
         const stats = await DatabaseService.getDatabaseStats();
         const activeSessions = await DatabaseService.getActiveSessions();
+        const retention = await RetentionService.getExpiryReport();
         
         res.json({
             success: true,
             stats,
+            retention,
+            rateLimits: {
+                ...RateLimitService.getStats(),
+                topOffenders: RateLimitService.getTopOffenders()
+            },
             activeSessions: activeSessions.map(session => ({
                 sessionId: session.sessionId,
                 connectionTime: session.connectionTime,
                 deviceInfo: session.deviceInfo,
+                groupId: session.groupId,
                 isActive: session.isActive
             }))
         });
@@ -216,6 +129,24 @@ app.get("/admin", async (req, res) => {
     }
 });
 
+// Clients that hit the socket rate limits, available without the database
+app.get("/admin/rate-limits", (req, res) => {
+    res.json({
+        ...RateLimitService.getStats(),
+        topOffenders: RateLimitService.getTopOffenders()
+    });
+});
+
+// Retention settings, what is due for expiry and the last purge
+app.get("/admin/retention", async (req, res) => {
+    try {
+        res.json(await RetentionService.getExpiryReport());
+    } catch (error) {
+        console.error('Error getting retention report:', error);
+        res.status(500).json({ error: 'Failed to get retention report' });
+    }
+});
+
 // API endpoint to get session details
 app.get("/api/session/:sessionId", async (req, res) => {
     try {
@@ -233,39 +164,602 @@ app.get("/api/session/:sessionId", async (req, res) => {
     }
 });
 
+// API endpoint to get a session's history split into trips and stops
+app.get("/api/session/:sessionId/trips", async (req, res) => {
+    try {
+        const trips = await TripService.getTrips(req.params.sessionId, {
+            refresh: req.query.refresh === 'true',
+            deviceId: deviceIdOf(req)
+        });
+        
+        res.json(trips);
+    } catch (error) {
+        console.error('Error getting trips:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to page through a session's points, oldest first, optionally
+// within ?from=&to= (epoch ms or ISO dates) and simplified to ?tolerance=
+// meters; pass nextCursor back as ?cursor=
+app.get("/api/session/:sessionId/points", async (req, res) => {
+    try {
+        const page = await HistoryService.getPoints(req.params.sessionId, {
+            from: req.query.from,
+            to: req.query.to,
+            limit: req.query.limit,
+            cursor: req.query.cursor,
+            tolerance: req.query.tolerance,
+            deviceId: deviceIdOf(req)
+        });
+        
+        res.json(page);
+    } catch (error) {
+        console.error('Error getting session points:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Whether the device behind a request is connected to a group
+async function isGroupMember(deviceId, groupId) {
+    if (!deviceId) return false;
+    const sockets = await io.in(GroupService.roomFor(groupId)).fetchSockets();
+    return sockets.some(groupSocket => groupSocket.data.deviceId === deviceId);
+}
+
+// API endpoint to get the points a group recorded inside the map view,
+// ?bbox=minLng,minLat,maxLng,maxLat with optional groupId, from, to,
+// sessionId and limit; only for devices connected to the group
+app.get("/api/points", async (req, res) => {
+    try {
+        const groupId = req.query.groupId || GroupService.defaultGroupId;
+        if (!await isGroupMember(deviceIdOf(req), groupId)) {
+            return res.status(403).json({ error: 'Join the group to see its points' });
+        }
+        
+        const result = await HistoryService.getPointsInArea({
+            groupId,
+            bbox: req.query.bbox,
+            from: req.query.from,
+            to: req.query.to,
+            sessionId: req.query.sessionId,
+            limit: req.query.limit
+        });
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error getting points in area:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint for a heatmap of where a group spent time: point counts and
+// average readings per grid cell at ?zoom=, optionally within ?bbox=, from,
+// to and sessionId; only for devices connected to the group. ?mine=true
+// counts the sessions of the X-Device-Token device instead.
+app.get("/api/heatmap", async (req, res) => {
+    try {
+        let deviceId;
+        let groupId;
+        if (req.query.mine === 'true') {
+            deviceId = deviceIdOf(req);
+            if (!deviceId) {
+                return res.status(400).json({ error: 'mine=true needs an X-Device-Token header' });
+            }
+        } else {
+            groupId = req.query.groupId || GroupService.defaultGroupId;
+            if (!await isGroupMember(deviceIdOf(req), groupId)) {
+                return res.status(403).json({ error: 'Join the group to see its heatmap' });
+            }
+        }
+        
+        const heatmap = await HistoryService.getHeatmap({
+            zoom: req.query.zoom,
+            bbox: req.query.bbox,
+            from: req.query.from,
+            to: req.query.to,
+            sessionId: req.query.sessionId,
+            groupId,
+            deviceId
+        });
+        
+        res.json(heatmap);
+    } catch (error) {
+        console.error('Error building heatmap:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to list the connected devices of a group within ?radius=
+// meters (default 1000) of ?lat=&lng=, nearest first; only for its members
+app.get("/api/devices/nearby", async (req, res) => {
+    const latitude = Number(req.query.lat);
+    const longitude = Number(req.query.lng);
+    const radius = req.query.radius === undefined ? 1000 : Number(req.query.radius);
+    
+    if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+        return res.status(400).json({ error: 'lat and lng must be valid coordinates' });
+    }
+    if (!(radius > 0 && radius <= 50000)) {
+        return res.status(400).json({ error: 'radius must be between 0 and 50000 meters' });
+    }
+    
+    const groupId = req.query.groupId || GroupService.defaultGroupId;
+    if (!await isGroupMember(deviceIdOf(req), groupId)) {
+        return res.status(403).json({ error: 'Join the group to see its devices' });
+    }
+    
+    res.json({
+        groupId,
+        devices: PresenceService.getDevicesNear(groupId, latitude, longitude, radius)
+    });
+});
+
+// API endpoint to download a session's track as GPX, KML, GeoJSON or CSV
+app.get("/api/session/:sessionId/export", async (req, res) => {
+    try {
+        const formatName = String(req.query.format || 'gpx').toLowerCase();
+        const { session, format, filename, tolerance, asShared } = await ExportService.prepareExport(req.params.sessionId, formatName, {
+            tolerance: req.query.tolerance,
+            deviceId: deviceIdOf(req)
+        });
+        
+        res.setHeader('Content-Type', format.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        
+        // Stream point by point; an aborted download stops reading from the database
+        pipeline(Readable.from(ExportService.exportChunks(session, format, { tolerance, asShared })), res, (error) => {
+            if (error) {
+                console.error('Error streaming export:', error.message);
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting session:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to upload a GPX or GeoJSON track as a new session
+app.post("/api/import", express.text({ type: () => true, limit: '25mb' }), async (req, res) => {
+    try {
+        const result = await ImportService.importTrack(req.body, {
+            format: req.query.format,
+            fileName: req.query.name,
+            deviceId: deviceIdOf(req),
+            userAgent: req.get('user-agent')
+        });
+        
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error importing track:', error.message);
+        res.status(error.status || 500).json({ error: error.message, errors: error.errors });
+    }
+});
+
+// API endpoint to download everything stored about the X-Device-Token device,
+// or only its ?sessionId= and page visits of ?visitSessionId=, as one JSON archive
+app.get("/api/privacy/export", async (req, res) => {
+    try {
+        const subject = await PrivacyService.resolveSubject({
+            deviceId: deviceIdOf(req),
+            sessionId: req.query.sessionId,
+            visitSessionId: req.query.visitSessionId
+        });
+        const records = await PrivacyService.prepareExport(subject);
+        
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="privacy-export-${Date.now()}.json"`);
+        
+        pipeline(Readable.from(PrivacyService.exportChunks(subject, records)), res, (error) => {
+            if (error) {
+                console.error('Error streaming privacy export:', error.message);
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting personal data:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to delete everything the same request would export; body
+// { sessionId, visitSessionId } with the same rules
+app.post("/api/privacy/erase", async (req, res) => {
+    try {
+        const subject = await PrivacyService.resolveSubject({
+            deviceId: deviceIdOf(req),
+            sessionId: req.body?.sessionId,
+            visitSessionId: req.body?.visitSessionId
+        });
+        const erased = await PrivacyService.erase(subject);
+        
+        // Devices still connected under an erased session stop recording into it
+        for (const socket of io.sockets.sockets.values()) {
+            if (socket.sessionId && subject.sessionIds.includes(socket.sessionId)) {
+                socket.sessionId = null;
+                socket.emit('data-erased', { erased });
+            }
+        }
+        
+        res.json({ success: true, erased });
+    } catch (error) {
+        console.error('Error erasing personal data:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Read-only viewer page for a share link
+app.get("/share/:token", (req, res) => {
+    res.render("share", { token: req.params.token });
+});
+
+// API endpoint to mint a time-limited share link for a session
+app.post("/api/session/:sessionId/share", async (req, res) => {
+    try {
+        const shareLink = await ShareService.createShare(
+            req.params.sessionId,
+            deviceIdOf(req),
+            req.body?.expiresInMinutes
+        );
+        
+        res.status(201).json({
+            token: shareLink.token,
+            url: `${req.protocol}://${req.get('host')}/share/${shareLink.token}`,
+            expiresAt: shareLink.expiresAt
+        });
+    } catch (error) {
+        console.error('Error creating share link:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to revoke a share link before it expires
+app.delete("/api/share/:token", async (req, res) => {
+    try {
+        const { token } = req.params;
+        const shareLink = await ShareService.revokeShare(token, deviceIdOf(req));
+        
+        // Disconnect viewers that are still watching through this link
+        const viewers = await shareNamespace.in(ShareService.roomFor(shareLink.sessionId)).fetchSockets();
+        viewers
+            .filter(viewer => viewer.data.shareToken === token)
+            .forEach(viewer => {
+                viewer.emit('share-expired', { reason: 'revoked' });
+                viewer.disconnect(true);
+            });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking share link:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Send a geofence event to the sockets it concerns: the whole group, or only
+// the owning device for personal fences
+async function emitToFenceAudience(fence, eventName, payload) {
+    const sockets = await io.in(GroupService.roomFor(fence.groupId)).fetchSockets();
+    sockets
+        .filter(groupSocket => !fence.deviceId || groupSocket.data.deviceId === fence.deviceId)
+        .forEach(groupSocket => groupSocket.emit(eventName, payload));
+}
+
+// Personal geofences belong to their device, group ones to the group's members
+async function canAccessFence(req, fence) {
+    const deviceId = deviceIdOf(req);
+    return fence.deviceId ? fence.deviceId === deviceId : isGroupMember(deviceId, fence.groupId);
+}
+
+// API endpoint to list the geofences of a group
+app.get("/api/geofences", async (req, res) => {
+    const groupId = req.query.groupId || GroupService.defaultGroupId;
+    if (!await isGroupMember(deviceIdOf(req), groupId)) {
+        return res.status(403).json({ error: 'Join the group to see its geofences' });
+    }
+    
+    const fences = GeofenceService.getFencesFor(groupId, deviceIdOf(req));
+    res.json(fences.map(fence => GeofenceService.toPublic(fence)));
+});
+
+// API endpoint to create a circle or polygon geofence
+app.post("/api/geofences", async (req, res) => {
+    try {
+        const input = { ...req.body };
+        delete input.deviceId;
+        if (input.personal) {
+            input.deviceId = deviceIdOf(req);
+            if (!input.deviceId) {
+                return res.status(400).json({ error: 'Personal geofences need an X-Device-Token header' });
+            }
+        }
+        
+        const groupId = req.body?.groupId || GroupService.defaultGroupId;
+        if (!await isGroupMember(deviceIdOf(req), groupId)) {
+            return res.status(403).json({ error: 'Join the group to add geofences to it' });
+        }
+        
+        const fence = await GeofenceService.createGeofence(input, groupId);
+        const publicFence = GeofenceService.toPublic(fence);
+        await emitToFenceAudience(fence, 'geofence-created', publicFence);
+        
+        res.status(201).json(publicFence);
+    } catch (error) {
+        console.error('Error creating geofence:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// API endpoint to delete a geofence
+app.delete("/api/geofences/:fenceId", async (req, res) => {
+    try {
+        const fence = GeofenceService.getGeofence(req.params.fenceId);
+        if (!fence) {
+            return res.status(404).json({ error: 'Geofence not found' });
+        }
+        if (!await canAccessFence(req, fence)) {
+            return res.status(403).json({ error: 'Not allowed to delete this geofence' });
+        }
+        
+        await GeofenceService.deleteGeofence(fence.fenceId);
+        await emitToFenceAudience(fence, 'geofence-deleted', { fenceId: fence.fenceId });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting geofence:', error);
+        res.status(500).json({ error: 'Failed to delete geofence' });
+    }
+});
+
+// API endpoint to get the recorded events of a geofence
+app.get("/api/geofences/:fenceId/events", async (req, res) => {
+    try {
+        const fence = GeofenceService.getGeofence(req.params.fenceId);
+        if (!fence) {
+            return res.status(404).json({ error: 'Geofence not found' });
+        }
+        if (!await canAccessFence(req, fence)) {
+            return res.status(403).json({ error: 'Not allowed to see the events of this geofence' });
+        }
+        
+        const events = await DatabaseService.getGeofenceEvents(fence.fenceId);
+        res.json(events);
+    } catch (error) {
+        console.error('Error getting geofence events:', error);
+        res.status(500).json({ error: 'Failed to get geofence events' });
+    }
+});
+
+// API endpoint to create a tracking group
+app.post("/api/groups", async (req, res) => {
+    try {
+        const group = await GroupService.createGroup(req.body?.name);
+        
+        res.status(201).json({
+            groupId: group.groupId,
+            name: group.name,
+            inviteCode: group.inviteCode
+        });
+    } catch (error) {
+        console.error('Error creating group:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Read-only namespace for share link viewers - they only ever see one session
+const shareNamespace = io.of('/share');
+
+shareNamespace.use(async (socket, next) => {
+    try {
+        const shareLink = await ShareService.resolveShare(socket.handshake.auth?.token);
+        if (!shareLink) {
+            return next(new Error('Share link is invalid or has expired'));
+        }
+        
+        socket.data.shareToken = shareLink.token;
+        socket.data.sessionId = shareLink.sessionId;
+        socket.data.expiresAt = shareLink.expiresAt;
+        next();
+    } catch (error) {
+        console.error('Error validating share link:', error);
+        next(new Error('Failed to validate share link'));
+    }
+});
+
+shareNamespace.on('connection', async (socket) => {
+    const { sessionId, expiresAt } = socket.data;
+    console.log(`🔗 Share viewer connected for session: ${sessionId}`);
+    
+    socket.join(ShareService.roomFor(sessionId));
+    
+    // Cut the viewer off once the link expires
+    const expiryTimer = setTimeout(() => {
+        socket.emit('share-expired', { reason: 'expired' });
+        socket.disconnect(true);
+    }, expiresAt.getTime() - Date.now());
+    
+    socket.on('disconnect', () => {
+        clearTimeout(expiryTimer);
+    });
+    
+    // Send the recent trail so the viewer has context before the next update,
+    // at the precision the device shared each point at
+    const recentLocations = await DatabaseService.getRecentLocations(sessionId);
+    socket.emit('share-trail', {
+        expiresAt,
+        points: recentLocations.map(record =>
+            PrivacyService.toSharedPoint(DatabaseService.toLocationPoint(record), record.precision, sessionId))
+    });
+});
+
 io.on('connection', async (socket) => {
     console.log('A user connected:', socket.id);
     
-    try {
+    socket.data.ipAddress = socket.handshake.address || socket.conn.remoteAddress;
+    
+    // Id of the stable device token from the handshake, used to resume sessions across reconnects
+    socket.deviceId = deviceIdFromToken(socket.handshake.auth?.deviceToken);
+    
+    // Also kept in socket.data, the only part visible through fetchSockets()
+    socket.data.deviceId = socket.deviceId;
+    
+    // How precisely other devices see this one, as saved by the client
+    const savedPrivacy = validateEvent('privacy-settings', socket.handshake.auth?.privacy ?? {});
+    socket.privacy = PrivacyService.getSharingSettings(savedPrivacy.valid ? savedPrivacy.value : {});
+    socket.emit('privacy-settings', socket.privacy);
+    
+    // Room of the group this socket currently belongs to
+    const groupRoom = () => GroupService.roomFor(socket.groupId);
+    
+    // Key under which geofence state is kept; sessions survive reconnects, sockets do not
+    const geofenceKey = () => socket.sessionId || socket.id;
+    
+    // Send the geofences that apply to this socket in its current group
+    const sendGeofences = () => {
+        const fences = GeofenceService.getFencesFor(socket.groupId, socket.deviceId);
+        socket.emit('geofence-list', fences.map(fence => GeofenceService.toPublic(fence)));
+    };
+    
+    // Send the group's current devices to this socket and announce it to the others
+    const announcePresence = () => {
+        socket.emit('presence-snapshot', {
+            groupId: socket.groupId,
+            devices: PresenceService.getSnapshot(socket.groupId, socket.id)
+        });
+        
+        const device = PresenceService.getDevice(socket.id);
+        if (device) {
+            socket.to(groupRoom()).emit('presence-update', {
+                status: 'online',
+                ...PresenceService.toPresence(device)
+            });
+        }
+        
+        sendGeofences();
+    };
+    
+    // Every socket starts in the default group until it joins another one
+    socket.groupId = GroupService.defaultGroupId;
+    socket.join(groupRoom());
+    
+    PresenceService.addDevice(
+        socket.id,
+        socket.groupId,
+        DatabaseService.parseUserAgent(socket.handshake.headers['user-agent'])
+    );
+    announcePresence();
+    
+    // Move the socket to another group's room and record it on the session
+    const switchGroup = async (groupId) => {
+        socket.to(groupRoom()).emit('device-left', { socketId: socket.id });
+        socket.to(groupRoom()).emit('presence-update', { status: 'offline', socketId: socket.id });
+        socket.leave(groupRoom());
+        GeofenceService.clearState(geofenceKey());
+        
+        socket.groupId = groupId;
+        socket.join(groupRoom());
+        PresenceService.setGroup(socket.id, groupId);
+        announcePresence();
+        
+        await sessionReady;
+        if (DatabaseService.isConnected) {
+            await DatabaseService.updateSessionGroup(socket.id, groupId);
+        }
+    };
+    
+    // Resume the device's recent session, or create a new one in the database.
+    // Not awaited here: every handler below has to be attached before this
+    // first yields, or events the client sends right on connect (join-group)
+    // are lost. Handlers that touch the session wait for sessionReady instead.
+    const sessionReady = (async () => {
         // Get user information
         const userAgent = socket.handshake.headers['user-agent'];
-        const ipAddress = socket.handshake.address || socket.conn.remoteAddress;
+        const ipAddress = socket.data.ipAddress;
         
-        // Create user session in database
-        const sessionId = await DatabaseService.createUserSession(socket.id, userAgent, ipAddress);
+        let sessionId = await DatabaseService.resumeUserSession(socket.deviceId, socket.id, socket.groupId,
+            socketId => io.sockets.sockets.has(socketId));
+        const resumed = Boolean(sessionId);
+        if (!resumed) {
+            sessionId = await DatabaseService.createUserSession(
+                socket.id,
+                userAgent,
+                PrivacyService.anonymizeIp(ipAddress),
+                socket.groupId,
+                socket.deviceId
+            );
+        }
         
         // Store session ID in socket for later use
         socket.sessionId = sessionId;
         
-        console.log(`👤 User session logged: ${sessionId}`);
-    } catch (error) {
+        if (sessionId) {
+            socket.emit('session-started', { sessionId, resumed });
+        }
+        
+        console.log(`👤 User session ${resumed ? 'resumed' : 'logged'}: ${sessionId}`);
+    })().catch(error => {
         console.error('❌ Error logging user connection:', error);
-    }
+    });
     
-    // Handle location updates with environmental data
-    socket.on('locationUpdate', async (locationData) => {
-        console.log('Location update received:', locationData);
+    // Process a location update with environmental data
+    const processLocationUpdate = async (payload) => {
+        const validation = validateEvent('locationUpdate', payload);
+        if (!validation.valid) {
+            console.warn(`⚠️ Rejected location update from ${socket.id}:`, validation.error);
+            socket.emit('location-received', {
+                status: 'error',
+                ...validation.error
+            });
+            return;
+        }
+        
+        const fix = {
+            ...validation.value,
+            timestamp: validation.value.timestamp ?? Date.now()
+        };
+        
+        // The filter and the database both key on the session
+        await sessionReady;
+        
+        // Drop jumps and poor fixes and smooth the rest. The filtered position is
+        // the one stored, analysed and shared; the raw one is only kept on record.
+        const filtered = LocationFilterService.filter(socket.sessionId || socket.id, fix);
+        if (!filtered.accepted) {
+            console.warn(`🧹 Filtered out location from ${socket.id}: ${filtered.reason}`);
+            socket.emit('location-received', {
+                status: 'rejected',
+                reason: filtered.reason
+            });
+            if (socket.sessionId) {
+                DatabaseService.countRejectedFix(socket.sessionId);
+            }
+            return;
+        }
+        
+        const locationData = {
+            ...fix,
+            latitude: filtered.latitude,
+            longitude: filtered.longitude
+        };
+        const rawCoordinates = {
+            latitude: fix.latitude,
+            longitude: fix.longitude
+        };
         
         try {
-            // Get environmental data for this location
-            const environmentalData = await environmentalService.getEnvironmentalData(
-                locationData.latitude, 
-                locationData.longitude
-            );
+            // The address is looked up meanwhile but not waited for: it follows
+            // once the location has gone out
+            const addressLookup = GeocodingService.reverseGeocode(locationData.latitude, locationData.longitude);
+            const environmentalData = await EnvironmentalService.getEnvironmentalData(locationData.latitude, locationData.longitude);
             
             // Log location data to database
+            let recordId = null;
             if (DatabaseService.isConnected) {
-                await DatabaseService.logLocationData(socket.id, locationData, environmentalData);
+                recordId = await DatabaseService.logLocationData(
+                    socket.id,
+                    locationData,
+                    environmentalData,
+                    rawCoordinates,
+                    { ...socket.privacy, groupId: socket.groupId }
+                );
             }
             
             // Combine location and environmental data
@@ -274,11 +768,70 @@ io.on('connection', async (socket) => {
                 environmental: environmentalData
             };
             
-            // Broadcast enhanced location to all connected clients
-            socket.broadcast.emit('user-location-update', {
-                socketId: socket.id,
-                ...enhancedLocationData
-            });
+            // What the rest of the group gets to see: nothing while sharing is
+            // paused, otherwise the position at the device's chosen precision
+            const sharedLocationData = PrivacyService.toSharedLocation(
+                enhancedLocationData,
+                socket.privacy,
+                socket.sessionId || socket.id
+            );
+            
+            // Remember the last shared position for presence snapshots
+            PresenceService.updateLocation(socket.id, sharedLocationData);
+            
+            // Check the position against the geofences of this device and group
+            const geofenceEvents = GeofenceService.evaluate(
+                { key: geofenceKey(), groupId: socket.groupId, deviceId: socket.deviceId },
+                locationData.latitude,
+                locationData.longitude,
+                new Date(locationData.timestamp)
+            );
+            
+            for (const { fence, event } of geofenceEvents) {
+                const geofenceEvent = {
+                    fenceId: fence.fenceId,
+                    fenceName: fence.name,
+                    event,
+                    socketId: socket.id,
+                    latitude: locationData.latitude,
+                    longitude: locationData.longitude,
+                    timestamp: new Date()
+                };
+                
+                console.log(`🚧 Geofence ${event}: ${fence.name} by ${socket.id}`);
+                
+                // Group fences tell the group, at the precision it sees this device
+                const groupEvent = !fence.deviceId && sharedLocationData && {
+                    ...geofenceEvent,
+                    latitude: sharedLocationData.latitude,
+                    longitude: sharedLocationData.longitude
+                };
+                socket.emit('geofence-event', geofenceEvent);
+                if (groupEvent) {
+                    socket.to(groupRoom()).emit('geofence-event', groupEvent);
+                }
+                
+                // Stored as its audience saw it, since the events API serves it to them
+                await DatabaseService.logGeofenceEvent({
+                    ...(groupEvent || geofenceEvent),
+                    shared: Boolean(fence.deviceId || groupEvent),
+                    sessionId: socket.sessionId,
+                    groupId: socket.groupId
+                });
+            }
+            
+            if (sharedLocationData) {
+                // Broadcast the location to the rest of the group
+                socket.to(groupRoom()).emit('user-location-update', {
+                    socketId: socket.id,
+                    ...sharedLocationData
+                });
+                
+                // Stream the update to anyone watching this session through a share link
+                if (socket.sessionId) {
+                    shareNamespace.to(ShareService.roomFor(socket.sessionId)).emit('user-location-update', sharedLocationData);
+                }
+            }
             
             // Send environmental data back to sender
             socket.emit('environmental-data', environmentalData);
@@ -287,9 +840,32 @@ io.on('connection', async (socket) => {
             socket.emit('location-received', { 
                 status: 'success', 
                 timestamp: new Date(),
+                position: {
+                    latitude: locationData.latitude,
+                    longitude: locationData.longitude
+                },
                 environmental: environmentalData
             });
             
+            const address = await addressLookup;
+            if (address) {
+                await DatabaseService.setLocationAddress(recordId, address);
+                socket.emit('location-address', { timestamp: locationData.timestamp, address });
+                
+                // Share-link viewers get it at the precision they see the position
+                if (sharedLocationData && socket.sessionId) {
+                    const sharedAddress = PrivacyService.toSharedLocation(
+                        { ...enhancedLocationData, address },
+                        socket.privacy,
+                        socket.sessionId
+                    ).address;
+                    shareNamespace.to(ShareService.roomFor(socket.sessionId)).emit('location-address', {
+                        timestamp: locationData.timestamp,
+                        address: sharedAddress
+                    });
+                }
+            }
+            
         } catch (error) {
             console.error('Error processing location update:', error);
             socket.emit('location-received', { 
@@ -297,12 +873,71 @@ io.on('connection', async (socket) => {
                 message: 'Failed to get environmental data' 
             });
         }
+    };
+
+    // Tell the client it is being throttled; returns true when the event must be dropped
+    const isRateLimited = (event) => {
+        const limit = RateLimitService.consume(event, socket.id, socket.data.ipAddress);
+        if (limit.allowed) return false;
+        
+        console.warn(`🚦 Rate limited ${event} from ${socket.id} (${limit.scope})`);
+        socket.emit('rate-limited', { event, scope: limit.scope, retryAfterMs: limit.retryAfterMs });
+        return true;
+    };
+    
+    // Latest location received while throttled; a burst is coalesced into it
+    let pendingLocation = null;
+    
+    const flushPendingLocation = () => {
+        if (!socket.connected || !pendingLocation) return;
+        
+        const limit = RateLimitService.consume('locationUpdate', socket.id, socket.data.ipAddress);
+        if (!limit.allowed) {
+            setTimeout(flushPendingLocation, limit.retryAfterMs);
+            return;
+        }
+        
+        const payload = pendingLocation;
+        pendingLocation = null;
+        processLocationUpdate(payload);
+    };
+    
+    // Handle location updates, coalescing bursts above the rate limit into the latest position
+    socket.on('locationUpdate', (payload) => {
+        if (!pendingLocation) {
+            const limit = RateLimitService.consume('locationUpdate', socket.id, socket.data.ipAddress);
+            if (limit.allowed) {
+                processLocationUpdate(payload);
+                return;
+            }
+            
+            console.warn(`🚦 Rate limited locationUpdate from ${socket.id} (${limit.scope})`);
+            socket.emit('rate-limited', {
+                event: 'locationUpdate',
+                scope: limit.scope,
+                retryAfterMs: limit.retryAfterMs,
+                coalesced: true
+            });
+            setTimeout(flushPendingLocation, limit.retryAfterMs);
+        }
+        
+        pendingLocation = payload;
     });
 
     // Handle manual environmental data requests
-    socket.on('request-environmental-data', async (coordinates) => {
+    socket.on('request-environmental-data', async (payload) => {
+        if (isRateLimited('request-environmental-data')) return;
+        
+        const validation = validateEvent('request-environmental-data', payload);
+        if (!validation.valid) {
+            socket.emit('environmental-data-error', validation.error);
+            return;
+        }
+        
+        const coordinates = validation.value;
+        
         try {
-            const environmentalData = await environmentalService.getEnvironmentalData(
+            const environmentalData = await EnvironmentalService.getEnvironmentalData(
                 coordinates.latitude, 
                 coordinates.longitude
             );
@@ -313,9 +948,55 @@ io.on('connection', async (socket) => {
         }
     });
 
+    // Handle a change of how precisely this device is shown, or a pause of sharing
+    socket.on('privacy-settings', (payload) => {
+        if (isRateLimited('privacy-settings')) return;
+        
+        const validation = validateEvent('privacy-settings', payload);
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'privacy-settings', ...validation.error });
+            return;
+        }
+        
+        const wasPaused = socket.privacy.sharingPaused;
+        socket.privacy = PrivacyService.getSharingSettings({ ...socket.privacy, ...validation.value });
+        
+        // The last position was shared under the old settings; wait for the next one
+        PresenceService.updateLocation(socket.id, null);
+        
+        if (socket.privacy.sharingPaused && !wasPaused) {
+            socket.to(groupRoom()).emit('device-left', { socketId: socket.id });
+            if (socket.sessionId) {
+                shareNamespace.to(ShareService.roomFor(socket.sessionId)).emit('device-left', {});
+            }
+        } else if (!socket.privacy.sharingPaused && wasPaused) {
+            const device = PresenceService.getDevice(socket.id);
+            if (device) {
+                socket.to(groupRoom()).emit('presence-update', {
+                    status: 'online',
+                    ...PresenceService.toPresence(device)
+                });
+            }
+        }
+        
+        console.log(`🔒 Privacy settings of ${socket.id}:`, socket.privacy);
+        socket.emit('privacy-settings', socket.privacy);
+    });
+
     // Handle feature usage logging
-    socket.on('feature-used', async (featureData) => {
+    socket.on('feature-used', async (payload) => {
+        if (isRateLimited('feature-used')) return;
+        
+        const validation = validateEvent('feature-used', payload);
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'feature-used', ...validation.error });
+            return;
+        }
+        
+        const featureData = validation.value;
+        
         try {
+            await sessionReady;
             if (DatabaseService.isConnected) {
                 await DatabaseService.logFeatureUsage(socket.id, featureData.feature);
             }
@@ -325,37 +1006,151 @@ io.on('connection', async (socket) => {
         }
     });
     
+    // Handle joining a tracking group by invite code
+    socket.on('join-group', async (payload) => {
+        if (isRateLimited('join-group')) return;
+        
+        const validation = validateEvent('join-group', payload);
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'join-group', ...validation.error });
+            socket.emit('group-error', { message: 'Invalid invite code' });
+            return;
+        }
+        
+        try {
+            const group = await GroupService.findByInviteCode(validation.value.inviteCode);
+            if (!group) {
+                socket.emit('group-error', { message: 'Invalid invite code' });
+                return;
+            }
+            
+            if (group.groupId !== socket.groupId) {
+                await switchGroup(group.groupId);
+            }
+            
+            console.log(`👥 ${socket.id} joined group: ${group.name}`);
+            socket.emit('group-joined', {
+                groupId: group.groupId,
+                name: group.name,
+                inviteCode: group.inviteCode
+            });
+        } catch (error) {
+            console.error('Error joining group:', error);
+            socket.emit('group-error', { message: 'Failed to join group' });
+        }
+    });
+    
+    // Handle leaving a tracking group, returning to the default group
+    socket.on('leave-group', async () => {
+        if (isRateLimited('leave-group')) return;
+        
+        try {
+            if (!GroupService.isDefaultGroup(socket.groupId)) {
+                console.log(`👥 ${socket.id} left group: ${socket.groupId}`);
+                await switchGroup(GroupService.defaultGroupId);
+            }
+            
+            socket.emit('group-left', { groupId: socket.groupId });
+        } catch (error) {
+            console.error('Error leaving group:', error);
+            socket.emit('group-error', { message: 'Failed to leave group' });
+        }
+    });
+    
     // Handle device connection
-    socket.on('device-connected', (deviceInfo) => {
-        console.log('Device connected:', deviceInfo);
-        socket.broadcast.emit('device-joined', { socketId: socket.id, deviceInfo });
+    socket.on('device-connected', (payload) => {
+        if (isRateLimited('device-connected')) return;
+        
+        const validation = validateEvent('device-connected', payload);
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'device-connected', ...validation.error });
+            return;
+        }
+        
+        console.log('Device connected:', validation.value);
+        const device = PresenceService.updateDeviceInfo(socket.id, validation.value);
+        if (device) {
+            socket.to(groupRoom()).emit('device-joined', {
+                socketId: socket.id,
+                deviceInfo: PresenceService.toPresence(device).deviceInfo
+            });
+        }
     });
     
     // Handle device disconnection
-    socket.on('device-disconnected', (deviceId) => {
-        console.log('Device disconnected:', deviceId);
-        socket.broadcast.emit('device-left', { socketId: socket.id, deviceId });
+    socket.on('device-disconnected', (payload) => {
+        if (isRateLimited('device-disconnected')) return;
+        
+        const validation = validateEvent('device-disconnected', payload ?? {});
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'device-disconnected', ...validation.error });
+            return;
+        }
+        
+        console.log('Device disconnected:', socket.id);
+        socket.to(groupRoom()).emit('device-left', { socketId: socket.id });
     });
     
     // Handle device status updates
-    socket.on('device-status', (statusData) => {
+    socket.on('device-status', (payload) => {
+        if (isRateLimited('device-status')) return;
+        
+        const validation = validateEvent('device-status', payload);
+        if (!validation.valid) {
+            socket.emit('validation-error', { event: 'device-status', ...validation.error });
+            return;
+        }
+        
+        const statusData = validation.value;
         console.log('Device status update:', statusData);
-        socket.broadcast.emit('device-status-update', { socketId: socket.id, ...statusData });
+        socket.to(groupRoom()).emit('device-status-update', { socketId: socket.id, ...statusData });
     });
     
     socket.on('disconnect', async () => {
         console.log('User disconnected:', socket.id);
         
+        PresenceService.removeDevice(socket.id);
+        RateLimitService.removeSocket(socket.id);
+        
+        // A socket that drops during setup still gets its session closed
+        await sessionReady;
+        
+        // Keep a session's geofence state through the resume window, then drop it
+        // unless the session came back on another socket
+        const trackerKey = geofenceKey();
+        if (trackerKey === socket.id) {
+            GeofenceService.clearState(trackerKey);
+        } else {
+            setTimeout(() => {
+                const resumed = Array.from(io.sockets.sockets.values()).some(other => other.sessionId === trackerKey);
+                if (!resumed) {
+                    GeofenceService.clearState(trackerKey);
+                }
+            }, DatabaseService.sessionResumeGraceMs).unref();
+        }
+        socket.to(groupRoom()).emit('presence-update', { status: 'offline', socketId: socket.id });
+        
         try {
             // End user session in database
             if (DatabaseService.isConnected) {
-                await DatabaseService.endUserSession(socket.id);
+                const endedSessionId = await DatabaseService.endUserSession(socket.id);
+                
+                // Split the finished session into trips and stops
+                if (endedSessionId) {
+                    TripService.segmentSession(endedSessionId).catch(error => {
+                        console.error('❌ Error segmenting session:', error);
+                    });
+                }
             }
         } catch (error) {
             console.error('❌ Error logging user disconnection:', error);
         }
         
-        socket.broadcast.emit('user-disconnected', socket.id);
+        socket.to(groupRoom()).emit('user-disconnected', socket.id);
+        
+        if (socket.sessionId) {
+            shareNamespace.to(ShareService.roomFor(socket.sessionId)).emit('device-left', {});
+        }
     });
 });
 
@@ -11,8 +11,17 @@ const userSessionSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    deviceId: String, // Hash of the stable token the client presents on every connection
+    reconnectCount: {
+        type: Number,
+        default: 0
+    },
     userAgent: String,
     ipAddress: String,
+    groupId: {
+        type: String,
+        default: 'public'
+    },
     country: String,
     city: String,
     connectionTime: {
@@ -20,6 +29,7 @@ const userSessionSchema = new mongoose.Schema({
         default: Date.now
     },
     disconnectionTime: Date,
+    lastActivity: Date, // Last connect or stored location, for resuming after a crash
     sessionDuration: Number, // in seconds
     isActive: {
         type: Boolean,
@@ -30,6 +40,12 @@ const userSessionSchema = new mongoose.Schema({
         browser: String,
         version: String,
         mobile: Boolean
+    },
+    imported: { // Set for sessions uploaded from a track file instead of recorded live
+        format: String,
+        fileName: String,
+        name: String,
+        importedAt: Date
     }
 }, {
     timestamps: true
@@ -43,6 +59,8 @@ const locationTrackingSchema = new mongoose.Schema({
         ref: 'UserSession'
     },
     socketId: String,
+    // Group the device was in when it recorded the point
+    groupId: String,
     coordinates: {
         latitude: {
             type: Number,
@@ -56,14 +74,49 @@ const locationTrackingSchema = new mongoose.Schema({
         altitude: Number,
         speed: Number
     },
+    // Same position as coordinates, as GeoJSON for geospatial queries
+    location: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: [Number] // [longitude, latitude]
+    },
+    // Position as reported by the device; coordinates hold the filtered one
+    rawCoordinates: {
+        latitude: Number,
+        longitude: Number
+    },
+    // Kept as part of a coarse track when the raw points around it expired
+    downsampled: Boolean,
+    // False when recorded while the device paused sharing; only its owner sees these
+    shared: Boolean,
+    // Precision the device shared the point at, for everyone but its owner
+    precision: {
+        mode: String,
+        meters: Number
+    },
     environmental: {
         temperature: Number,
         humidity: Number,
         windSpeed: Number,
         visibility: Number,
-        airQuality: String,
+        airQuality: String, // AQI category
+        aqi: Number, // US EPA Air Quality Index
+        dominantPollutant: String,
+        pollutants: { // Concentrations in µg/m³
+            pm25: Number,
+            pm10: Number,
+            o3: Number,
+            no2: Number
+        },
         pressure: Number,
-        uvIndex: Number
+        uvIndex: Number,
+        source: { // Provider that supplied each part of the reading
+            weather: String,
+            airQuality: String,
+            uvIndex: String
+        }
     },
     address: {
         country: String,
@@ -92,22 +145,47 @@ const userAnalyticsSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    rejectedFixes: {
+        type: Number,
+        default: 0 // dropped by the noise filter
+    },
     totalDistance: {
         type: Number,
         default: 0 // in kilometers
     },
+    movingDistance: {
+        type: Number,
+        default: 0 // in kilometers
+    },
     maxSpeed: {
         type: Number,
         default: 0 // in km/h
     },
     averageSpeed: {
         type: Number,
-        default: 0
+        default: 0 // in km/h, while moving
     },
     trackingDuration: {
         type: Number,
         default: 0 // in seconds
     },
+    movingTime: {
+        type: Number,
+        default: 0 // in seconds
+    },
+    idleTime: {
+        type: Number,
+        default: 0 // in seconds
+    },
+    elevationGain: {
+        type: Number,
+        default: 0 // in meters
+    },
+    elevationLoss: {
+        type: Number,
+        default: 0 // in meters
+    },
+    elevationReference: Number, // Last altitude counted towards gain or loss
     featuresUsed: {
         satelliteView: {
             type: Boolean,
@@ -125,12 +203,194 @@ const userAnalyticsSchema = new mongoose.Schema({
     startLocation: {
         latitude: Number,
         longitude: Number,
-        address: String
+        address: String,
+        timestamp: Date
     },
     endLocation: {
         latitude: Number,
         longitude: Number,
-        address: String
+        address: String,
+        timestamp: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Tracking Group Schema - Named groups that devices join with an invite code
+const trackingGroupSchema = new mongoose.Schema({
+    groupId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    inviteCode: {
+        type: String,
+        required: true,
+        unique: true
+    }
+}, {
+    timestamps: true
+});
+
+// Share Link Schema - Time-limited read-only links to watch one session live
+const shareLinkSchema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    sessionId: {
+        type: String,
+        required: true,
+        ref: 'UserSession'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+// Geofence Schema - Circles and polygons that raise enter/exit/dwell events
+const geofenceSchema = new mongoose.Schema({
+    fenceId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['circle', 'polygon'],
+        required: true
+    },
+    center: {
+        latitude: Number,
+        longitude: Number
+    },
+    radius: Number, // in meters, circles only
+    polygon: [[Number]], // [latitude, longitude] vertices, polygons only
+    groupId: {
+        type: String,
+        default: 'public'
+    },
+    deviceId: String, // When set, the fence only applies to this device
+    dwellSeconds: {
+        type: Number,
+        default: 300
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Geofence Event Schema - Enter, exit and dwell events per session
+const geofenceEventSchema = new mongoose.Schema({
+    fenceId: {
+        type: String,
+        required: true,
+        ref: 'Geofence'
+    },
+    sessionId: {
+        type: String,
+        ref: 'UserSession'
+    },
+    socketId: String,
+    groupId: String,
+    event: {
+        type: String,
+        enum: ['enter', 'exit', 'dwell'],
+        required: true
+    },
+    // Position as the fence's audience saw it: exact for personal fences,
+    // at the device's shared precision for group fences
+    latitude: Number,
+    longitude: Number,
+    // False when the device had paused sharing; only its owner sees these
+    shared: Boolean,
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// Trip Segment Schema - A session's history split into trips and stops
+const segmentLocationSchema = new mongoose.Schema({
+    latitude: Number,
+    longitude: Number,
+    address: String
+}, { _id: false });
+
+const tripSegmentSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        ref: 'UserSession'
+    },
+    type: {
+        type: String,
+        enum: ['trip', 'stop'],
+        required: true
+    },
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: {
+        type: Date,
+        required: true
+    },
+    duration: Number, // in seconds
+    distance: Number, // in kilometers
+    pointCount: Number,
+    startLocation: segmentLocationSchema,
+    endLocation: segmentLocationSchema,
+    location: segmentLocationSchema // Center of a stop
+}, {
+    timestamps: true
+});
+
+// Privacy Audit Schema - One entry per data export or erasure request. The
+// subject is only kept as a SHA-256 hash, so the log holds no personal data but
+// can still answer whether a given device or session was erased.
+const privacyAuditSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['export', 'erase'],
+        required: true
+    },
+    subjectType: {
+        type: String,
+        enum: ['device', 'session', 'visits'],
+        required: true
+    },
+    subjectHash: {
+        type: String,
+        required: true
+    },
+    sessionCount: Number,
+    counts: mongoose.Schema.Types.Mixed, // Records exported or erased per kind
+    timestamp: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true
@@ -140,10 +400,24 @@ const userAnalyticsSchema = new mongoose.Schema({
 userSessionSchema.index({ connectionTime: -1 });
 userSessionSchema.index({ socketId: 1 });
 userSessionSchema.index({ isActive: 1 });
+userSessionSchema.index({ groupId: 1, isActive: 1 });
+userSessionSchema.index({ deviceId: 1, connectionTime: -1 });
 
 locationTrackingSchema.index({ sessionId: 1, timestamp: -1 });
-locationTrackingSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
+locationTrackingSchema.index({ sessionId: 1, timestamp: 1, _id: 1 }); // Paging through a session
+locationTrackingSchema.index({ location: '2dsphere', timestamp: -1 });
 locationTrackingSchema.index({ timestamp: -1 });
+locationTrackingSchema.index({ createdAt: 1 }); // Retention
+
+shareLinkSchema.index({ sessionId: 1, expiresAt: -1 });
+
+geofenceSchema.index({ groupId: 1, isActive: 1 });
+geofenceEventSchema.index({ fenceId: 1, timestamp: -1 });
+geofenceEventSchema.index({ sessionId: 1, timestamp: -1 });
+
+tripSegmentSchema.index({ sessionId: 1, startTime: 1 });
+
+privacyAuditSchema.index({ subjectHash: 1, timestamp: -1 });
 
 // Note: userAnalyticsSchema.sessionId already has unique:true index, no need for explicit index
 
@@ -151,5 +425,21 @@ locationTrackingSchema.index({ timestamp: -1 });
 const UserSession = mongoose.model('UserSession', userSessionSchema);
 const LocationTracking = mongoose.model('LocationTracking', locationTrackingSchema);
 const UserAnalytics = mongoose.model('UserAnalytics', userAnalyticsSchema);
+const TrackingGroup = mongoose.model('TrackingGroup', trackingGroupSchema);
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+const Geofence = mongoose.model('Geofence', geofenceSchema);
+const GeofenceEvent = mongoose.model('GeofenceEvent', geofenceEventSchema);
+const TripSegment = mongoose.model('TripSegment', tripSegmentSchema);
+const PrivacyAudit = mongoose.model('PrivacyAudit', privacyAuditSchema);
 
-module.exports = { UserSession, LocationTracking, UserAnalytics };
\ No newline at end of file
+module.exports = {
+    UserSession,
+    LocationTracking,
+    UserAnalytics,
+    TrackingGroup,
+    ShareLink,
+    Geofence,
+    GeofenceEvent,
+    TripSegment,
+    PrivacyAudit
+};
\ No newline at end of file
@@ -1,3 +1,10 @@
+// Trail points may be this far off the drawn line (meters)
+const TRAIL_TOLERANCE_METERS = 3;
+// Longest stretch of fixes a single trail segment may stand for
+const TRAIL_MAX_SKIPPED = 200;
+// How far back the recorded points in view go
+const AREA_POINTS_HOURS = 24;
+
 class LightningTracker {
     constructor() {
         console.log("🚀 Seyam's Tracker initializing...");
@@ -13,7 +20,12 @@ class LightningTracker {
         this.totalDistance = 0;
         this.maxSpeed = 0;
         this.lastPosition = null;
+        // Last position accepted by the server's noise filter, for the distance
+        this.lastFilteredPosition = null;
+        // Trail vertices; the last one moves along while the points since the
+        // vertex before it (trailSkipped) stay within TRAIL_TOLERANCE_METERS
         this.trail = [];
+        this.trailSkipped = [];
         this.trailPolyline = null;
         this.showTrail = false;
         this.speedMode = false;
@@ -21,6 +33,49 @@ class LightningTracker {
         this.standardLayer = null;
         this.satelliteLayer = null;
         
+        // Server-side session this device is recording into
+        this.sessionId = null;
+        this.activeShareToken = null;
+        
+        // Back-off requested by the server's rate limiter
+        this.locationBlockedUntil = 0;
+        this.pendingLocationPayload = null;
+        
+        // Tracking group the device currently shares its location with
+        this.currentGroup = null;
+        
+        // How the group sees this device, as confirmed by the server
+        this.privacySettings = null;
+        
+        // Other devices in the group, keyed by socket id
+        this.deviceLayer = null;
+        this.devices = new Map();
+        this.deviceColors = ['#00bcd4', '#e91e63', '#8bc34a', '#9c27b0', '#ff9800', '#3f51b5', '#009688', '#f44336'];
+        
+        // Geofences of the current group, keyed by fence id
+        this.geofenceLayer = null;
+        this.geofences = new Map();
+        
+        // Track of the last imported GPX/GeoJSON file
+        this.importedTrack = null;
+        
+        // Density of recorded points in the map view, reloaded whenever the map moves
+        this.showHeatmap = false;
+        this.heatmapLayer = null;
+        this.heatmapRequest = null;
+        
+        // Points recorded inside the map view, reloaded whenever the map moves
+        this.showAreaPoints = false;
+        this.areaLayer = null;
+        this.areaRenderer = null;
+        this.areaRequest = null;
+        
+        // Past session being replayed; while set, the statistics and
+        // environment panels show the replay instead of live data
+        this.replay = null;
+        this.replayLayer = null;
+        this.replayFrame = null;
+        
         // Environmental data properties
         this.environmentalData = {
             temperature: null,
@@ -76,13 +131,40 @@ class LightningTracker {
     
     initSocket() {
         try {
-            this.socket = io();
+            // The device token lets the server resume our session after a reconnect;
+            // the sharing settings are read again on every (re)connect
+            this.socket = io({
+                auth: (callback) => callback({
+                    deviceToken: this.getDeviceToken(),
+                    privacy: this.getPrivacySettings()
+                })
+            });
             console.log('✅ Socket.io initialized');
         } catch (error) {
             console.error('❌ Socket initialization failed:', error);
         }
     }
 
+    getDeviceToken() {
+        let token = localStorage.getItem('tracker_device_token');
+        if (!token) {
+            token = window.crypto && crypto.randomUUID
+                ? crypto.randomUUID().replace(/-/g, '')
+                : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+            localStorage.setItem('tracker_device_token', token);
+        }
+        return token;
+    }
+
+    // Sharing choices saved on this device: { precision, sharingPaused }
+    getPrivacySettings() {
+        try {
+            return JSON.parse(localStorage.getItem('tracker_privacy')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
     initMap() {
         try {
             console.log('🗺️ Initializing map...');
@@ -130,6 +212,21 @@ class LightningTracker {
             // Add standard layer by default
             this.standardLayer.addTo(this.map);
             
+            // Layer holding the markers of other devices
+            this.deviceLayer = L.layerGroup().addTo(this.map);
+            
+            // Layer holding the geofences of the current group
+            this.geofenceLayer = L.layerGroup().addTo(this.map);
+            
+            this.map.on('moveend', () => {
+                if (this.showAreaPoints) {
+                    this.loadAreaPoints();
+                }
+                if (this.showHeatmap) {
+                    this.loadHeatmap();
+                }
+            });
+            
             // Tile loading events
             this.standardLayer.on('loading', () => {
                 console.log('🔄 Map tiles loading...');
@@ -258,6 +355,58 @@ class LightningTracker {
             console.warn('⚠️ Speed button not found');
         }
 
+        // Heatmap button
+        const heatmapBtn = document.querySelector('.heatmap-btn');
+        if (heatmapBtn) {
+            heatmapBtn.addEventListener('click', () => this.toggleHeatmap());
+            console.log('✅ Heatmap button event listener added');
+        }
+
+        // Tracking group controls
+        const groupJoinBtn = document.querySelector('.group-join-btn');
+        if (groupJoinBtn) {
+            groupJoinBtn.addEventListener('click', () => {
+                const input = document.querySelector('#group-invite-code');
+                this.joinGroup(input ? input.value : '');
+            });
+            console.log('✅ Group join button event listener added');
+        }
+
+        const groupInput = document.querySelector('#group-invite-code');
+        if (groupInput) {
+            groupInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.joinGroup(groupInput.value);
+                }
+            });
+        }
+
+        const groupCreateBtn = document.querySelector('.group-create-btn');
+        if (groupCreateBtn) {
+            groupCreateBtn.addEventListener('click', () => this.createGroup());
+            console.log('✅ Group create button event listener added');
+        }
+
+        const groupLeaveBtn = document.querySelector('.group-leave-btn');
+        if (groupLeaveBtn) {
+            groupLeaveBtn.addEventListener('click', () => this.leaveGroup());
+            console.log('✅ Group leave button event listener added');
+        }
+
+        const sharePrecision = document.querySelector('#share-precision');
+        if (sharePrecision) {
+            sharePrecision.addEventListener('change', () => {
+                this.updatePrivacySettings({ precision: sharePrecision.value });
+            });
+        }
+
+        const sharePauseBtn = document.querySelector('.share-pause-btn');
+        if (sharePauseBtn) {
+            sharePauseBtn.addEventListener('click', () => {
+                this.updatePrivacySettings({ sharingPaused: !(this.privacySettings || this.getPrivacySettings()).sharingPaused });
+            });
+        }
+
         // Floating control buttons
         const centerBtn = document.querySelector('#center-btn');
         if (centerBtn) {
@@ -277,11 +426,94 @@ class LightningTracker {
             console.log('✅ Screenshot button event listener added');
         }
 
+        const shareBtn = document.querySelector('#share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.toggleShareLink());
+            console.log('✅ Share button event listener added');
+        }
+
+        const geofenceBtn = document.querySelector('#geofence-btn');
+        if (geofenceBtn) {
+            geofenceBtn.addEventListener('click', () => this.createGeofenceHere());
+            console.log('✅ Geofence button event listener added');
+        }
+
+        const importBtn = document.querySelector('#import-btn');
+        const importFile = document.querySelector('#import-file');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', () => {
+                if (importFile.files[0]) {
+                    this.importTrack(importFile.files[0]);
+                }
+                importFile.value = '';
+            });
+            console.log('✅ Import button event listener added');
+        }
+
+        const areaBtn = document.querySelector('#area-btn');
+        if (areaBtn) {
+            areaBtn.addEventListener('click', () => this.toggleAreaPoints());
+            console.log('✅ Area points button event listener added');
+        }
+
+        // Session replay controls
+        const replayLoadBtn = document.querySelector('.replay-load-btn');
+        if (replayLoadBtn) {
+            replayLoadBtn.addEventListener('click', () => {
+                const input = document.querySelector('#replay-session-id');
+                this.loadReplay(input ? input.value.trim() : '');
+            });
+            console.log('✅ Replay load button event listener added');
+        }
+
+        const replayInput = document.querySelector('#replay-session-id');
+        if (replayInput) {
+            // Default to this device's own session when nothing was entered
+            replayInput.addEventListener('focus', () => {
+                if (!replayInput.value && this.sessionId) {
+                    replayInput.value = this.sessionId;
+                }
+            });
+            replayInput.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.loadReplay(replayInput.value.trim());
+                }
+            });
+        }
+
+        document.querySelector('.replay-play-btn')?.addEventListener('click', () => this.toggleReplayPlayback());
+        document.querySelector('.replay-exit-btn')?.addEventListener('click', () => this.exitReplay());
+
+        const replaySpeed = document.querySelector('#replay-speed');
+        if (replaySpeed) {
+            replaySpeed.addEventListener('change', () => {
+                if (this.replay) {
+                    this.replay.speed = Number(replaySpeed.value);
+                }
+            });
+        }
+
+        const replayScrubber = document.querySelector('#replay-scrubber');
+        if (replayScrubber) {
+            replayScrubber.addEventListener('input', () => {
+                if (this.replay) {
+                    this.seekReplay(this.replay.startTime + Number(replayScrubber.value));
+                }
+            });
+        }
+
         // Socket events
         if (this.socket) {
             this.socket.on('connect', () => {
                 console.log('🔗 Connected to server');
                 this.updateStatus('CONNECTED');
+                
+                // Rejoin the last group after a (re)connect
+                const savedInviteCode = localStorage.getItem('tracker_group_invite');
+                if (savedInviteCode) {
+                    this.socket.emit('join-group', { inviteCode: savedInviteCode });
+                }
             });
 
             this.socket.on('disconnect', () => {
@@ -289,6 +521,11 @@ class LightningTracker {
                 this.updateStatus('DISCONNECTED');
             });
 
+            this.socket.on('session-started', (data) => {
+                this.sessionId = data.sessionId;
+                console.log(`🗂️ Session ${data.resumed ? 'resumed' : 'started'}: ${data.sessionId}`);
+            });
+
             this.socket.on('error', (error) => {
                 console.error('❌ Socket error:', error);
             });
@@ -308,8 +545,39 @@ class LightningTracker {
                 this.showNotification('Failed to get environmental data', 'error');
             });
 
+            this.socket.on('rate-limited', (data) => {
+                console.warn(`🚦 Rate limited: ${data.event}, retry in ${data.retryAfterMs}ms`);
+                if (data.event === 'locationUpdate') {
+                    this.locationBlockedUntil = Date.now() + data.retryAfterMs;
+                } else if (data.event === 'request-environmental-data') {
+                    this.showNotification('🚦 Too many environmental requests, slowing down', 'warning');
+                }
+            });
+
+            this.socket.on('validation-error', (error) => {
+                console.warn(`⚠️ Server rejected ${error.event} [${error.code}]:`, error.message);
+            });
+
             this.socket.on('location-received', (response) => {
                 try {
+                    if (response.status === 'error') {
+                        console.warn(`⚠️ Location rejected by server [${response.code}]:`, response.message);
+                        if (response.code) {
+                            this.showNotification(`⚠️ Location rejected: ${response.message}`, 'warning');
+                        }
+                        return;
+                    }
+
+                    if (response.status === 'rejected') {
+                        console.warn(`🧹 Location dropped by the noise filter: ${response.reason}`);
+                        return;
+                    }
+
+                    // Distance follows the filtered track, so GPS jumps do not add to it
+                    if (response.position && this.isTracking) {
+                        this.addFilteredPosition(response.position);
+                    }
+
                     if (response.environmental) {
                         this.updateEnvironmentalData(response.environmental);
                     }
@@ -318,23 +586,99 @@ class LightningTracker {
                 }
             });
 
-            // Listen for other users' location updates and update the map
+            // The address of a location follows its acknowledgment once it is looked up
+            this.socket.on('location-address', (data) => {
+                this.updateElement('#address-value', data.address?.formattedAddress || '--');
+            });
+
+            // Tracking group handlers
+            this.socket.on('group-joined', (group) => {
+                this.currentGroup = group;
+                localStorage.setItem('tracker_group_invite', group.inviteCode);
+                this.clearDeviceMarkers();
+                this.updateGroupDisplay();
+                this.showNotification(`👥 Joined group: ${group.name}`, 'success');
+            });
+
+            this.socket.on('group-left', () => {
+                this.currentGroup = null;
+                localStorage.removeItem('tracker_group_invite');
+                this.clearDeviceMarkers();
+                this.updateGroupDisplay();
+                this.showNotification('👥 Back in the public group', 'info');
+            });
+
+            // Sharing settings the server applies to us, sent on connect and after a change
+            this.socket.on('privacy-settings', (settings) => {
+                this.privacySettings = settings;
+                this.renderPrivacySettings();
+            });
+
+            this.socket.on('group-error', (error) => {
+                console.error('❌ Group error:', error);
+                // A stale saved code should not be retried on every reconnect
+                if (!this.currentGroup) {
+                    localStorage.removeItem('tracker_group_invite');
+                }
+                this.showNotification(`❌ ${error.message}`, 'error');
+            });
+
+            // Listen for other users' location updates and show them as their own markers
             this.socket.on('user-location-update', (data) => {
                 try {
                     // Only update if not this user's own socket
                     if (data.socketId !== this.socket.id) {
-                        // Optionally, show other users on the map
-                        this.updateMap(data.latitude, data.longitude);
-                        this.updateDisplay(data.latitude, data.longitude, data.accuracy, data.speed, data.altitude);
-                        if (data.environmental) {
-                            this.updateEnvironmentalData(data.environmental);
-                        }
-                        this.showNotification('📍 Another user location received', 'info');
+                        this.updateDeviceMarker(data.socketId, data);
                     }
                 } catch (error) {
                     console.error('❌ Error processing user location update:', error);
                 }
             });
+
+            // Devices already in the group when we connect or switch groups
+            this.socket.on('presence-snapshot', (snapshot) => {
+                try {
+                    this.clearDeviceMarkers();
+                    (snapshot.devices || []).forEach(presence => this.applyPresence(presence));
+                    console.log(`👥 Presence snapshot: ${this.devices.size} device(s) in group`);
+                } catch (error) {
+                    console.error('❌ Error processing presence snapshot:', error);
+                }
+            });
+
+            this.socket.on('presence-update', (presence) => {
+                if (presence.status === 'offline') {
+                    this.removeDeviceMarker(presence.socketId);
+                } else {
+                    this.applyPresence(presence);
+                }
+            });
+
+            // Geofence handlers
+            this.socket.on('geofence-list', (fences) => {
+                this.clearGeofences();
+                fences.forEach(fence => this.addGeofence(fence));
+            });
+
+            this.socket.on('geofence-created', (fence) => this.addGeofence(fence));
+
+            this.socket.on('geofence-deleted', (data) => this.removeGeofence(data.fenceId));
+
+            this.socket.on('geofence-event', (data) => this.handleGeofenceEvent(data));
+
+            this.socket.on('device-joined', (data) => {
+                const device = this.getDevice(data.socketId);
+                device.deviceInfo = data.deviceInfo || device.deviceInfo;
+                this.refreshDeviceMarker(device);
+            });
+
+            this.socket.on('user-disconnected', (socketId) => {
+                this.removeDeviceMarker(socketId);
+            });
+
+            this.socket.on('device-left', (data) => {
+                this.removeDeviceMarker(data.socketId);
+            });
         }
         
         // Add window resize handler
@@ -366,6 +710,9 @@ class LightningTracker {
         // Clear environmental updates
         this.stopEnvironmentalUpdates();
         
+        // Stop a running replay
+        this.pauseReplay();
+        
         // Close socket connection
         if (this.socket) {
             this.socket.disconnect();
@@ -415,8 +762,9 @@ class LightningTracker {
         this.updateCount = 0;
         this.totalDistance = 0;
         this.maxSpeed = 0;
-        this.trail = [];
+        this.clearTrail();
         this.lastPosition = null;
+        this.lastFilteredPosition = null;
         
         this.updateStatus('INITIALIZING GPS...');
         this.updateButton('.track-btn', '<i class="fas fa-stop"></i> STOP TRACKING', 'active');
@@ -490,18 +838,107 @@ class LightningTracker {
         }
     }
 
+    // Tracking Group Methods
+    joinGroup(inviteCode) {
+        const code = (inviteCode || '').trim().toUpperCase();
+        if (!code) {
+            this.showNotification('❌ Enter an invite code first', 'warning');
+            return;
+        }
+        
+        if (this.socket) {
+            this.socket.emit('join-group', { inviteCode: code });
+        }
+    }
+
+    leaveGroup() {
+        if (!this.currentGroup) {
+            this.showNotification('👥 Not in a group', 'info');
+            return;
+        }
+        
+        if (this.socket) {
+            this.socket.emit('leave-group');
+        }
+    }
+
+    async createGroup() {
+        const name = prompt('Name for the new tracking group:');
+        if (!name || !name.trim()) return;
+        
+        try {
+            const response = await fetch('/api/groups', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: name.trim() })
+            });
+            const group = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(group.error || 'Failed to create group');
+            }
+            
+            this.showNotification(`👥 Group created - invite code: ${group.inviteCode}`, 'success');
+            this.joinGroup(group.inviteCode);
+        } catch (error) {
+            console.error('❌ Failed to create group:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    updateGroupDisplay() {
+        this.updateElement('#group-name', this.currentGroup ? this.currentGroup.name : 'Public');
+        this.updateElement('#group-invite', this.currentGroup ? this.currentGroup.inviteCode : '--');
+        
+        const input = document.querySelector('#group-invite-code');
+        if (input) {
+            input.value = '';
+        }
+    }
+
+    // Save a change of sharing settings and apply it right away when connected
+    updatePrivacySettings(changes) {
+        const settings = { ...this.getPrivacySettings(), ...changes };
+        localStorage.setItem('tracker_privacy', JSON.stringify(settings));
+        
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('privacy-settings', changes);
+        }
+        
+        if (changes.sharingPaused !== undefined) {
+            this.showNotification(changes.sharingPaused
+                ? '🙈 Sharing paused - the group no longer sees you, tracking continues'
+                : '👁️ Sharing resumed', 'info');
+        }
+    }
+
+    renderPrivacySettings() {
+        const settings = this.privacySettings;
+        if (!settings) return;
+        
+        const labels = { exact: 'EXACT', coarse: `~${settings.precisionMeters}M GRID`, jitter: `~${settings.precisionMeters}M RANDOM` };
+        this.updateElement('#share-status', settings.sharingPaused ? 'PAUSED' : labels[settings.precision]);
+        
+        const select = document.querySelector('#share-precision');
+        if (select) {
+            select.value = settings.precision;
+        }
+        
+        const pauseBtn = document.querySelector('.share-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.innerHTML = settings.sharingPaused
+                ? '<i class="fas fa-eye"></i> RESUME'
+                : '<i class="fas fa-eye-slash"></i> PAUSE';
+            pauseBtn.classList.toggle('active', settings.sharingPaused);
+        }
+    }
+
     handleLocationUpdate(position) {
         console.log('📍 Location update received:', position.coords);
         
         this.updateCount++;
         const { latitude, longitude, accuracy, speed, altitude } = position.coords;
         
-        // Calculate distance if we have a previous position
-        if (this.lastPosition) {
-            const distance = this.calculateDistance(this.lastPosition, [latitude, longitude]);
-            this.totalDistance += distance;
-        }
-        
         // Update maximum speed
         if (speed && speed > this.maxSpeed) {
             this.maxSpeed = speed;
@@ -517,20 +954,18 @@ class LightningTracker {
             this.addToTrail([latitude, longitude]);
         }
         
-        // Store current position for distance calculation
+        // Store current position for environmental requests
         this.lastPosition = [latitude, longitude];
         
         // Send to server
-        if (this.socket) {
-            this.socket.emit('locationUpdate', {
-                latitude,
-                longitude,
-                accuracy,
-                speed,
-                altitude,
-                timestamp: Date.now()
-            });
-        }
+        this.sendLocation({
+            latitude,
+            longitude,
+            accuracy,
+            speed,
+            altitude,
+            timestamp: Date.now()
+        });
         
         // Show speed notification in speed mode
         if (this.speedMode && speed) {
@@ -538,6 +973,26 @@ class LightningTracker {
         }
     }
 
+    // Emit a location, holding back the latest one while the server asked us to back off
+    sendLocation(payload) {
+        if (!this.socket) return;
+
+        const waitMs = this.locationBlockedUntil - Date.now();
+        if (waitMs <= 0) {
+            this.socket.emit('locationUpdate', payload);
+            return;
+        }
+
+        if (!this.pendingLocationPayload) {
+            setTimeout(() => {
+                const pending = this.pendingLocationPayload;
+                this.pendingLocationPayload = null;
+                this.sendLocation(pending);
+            }, waitMs);
+        }
+        this.pendingLocationPayload = payload;
+    }
+
     handleLocationError(error) {
         console.error('Location error:', error);
         
@@ -620,6 +1075,259 @@ class LightningTracker {
         this.map.setView(newPos, 16);
     }
 
+    // Other Device Methods
+    getDevice(socketId) {
+        if (!this.devices.has(socketId)) {
+            this.devices.set(socketId, {
+                socketId,
+                color: this.deviceColors[this.devices.size % this.deviceColors.length],
+                deviceInfo: null,
+                location: null,
+                lastSeen: null,
+                marker: null
+            });
+        }
+        return this.devices.get(socketId);
+    }
+
+    getDeviceLabel(device) {
+        const info = device.deviceInfo || {};
+        if (info.name) return info.name;
+        if (info.platform && info.browser) return `${info.platform} · ${info.browser}`;
+        return `Device ${device.socketId.slice(-4).toUpperCase()}`;
+    }
+
+    updateDeviceMarker(socketId, data) {
+        if (!this.deviceLayer || data.latitude == null || data.longitude == null) return;
+        
+        const device = this.getDevice(socketId);
+        device.location = data;
+        device.lastSeen = new Date();
+        this.refreshDeviceMarker(device);
+    }
+
+    // Apply a presence entry from the server registry
+    applyPresence(presence) {
+        if (!presence.socketId || presence.socketId === this.socket.id) return;
+        
+        const device = this.getDevice(presence.socketId);
+        device.deviceInfo = presence.deviceInfo || device.deviceInfo;
+        device.lastSeen = presence.lastSeen ? new Date(presence.lastSeen) : device.lastSeen;
+        if (presence.location) {
+            device.location = presence.location;
+        }
+        this.refreshDeviceMarker(device);
+    }
+
+    refreshDeviceMarker(device) {
+        if (!device.location || !this.deviceLayer) return;
+        
+        const position = [device.location.latitude, device.location.longitude];
+        // Names come from other clients; Leaflet renders tooltips and popups as HTML
+        const label = this.escapeHtml(this.getDeviceLabel(device));
+        
+        if (!device.marker) {
+            device.marker = L.marker(position, {
+                icon: L.divIcon({
+                    className: 'device-marker',
+                    html: `<span class="device-marker-dot" style="background: ${device.color}"></span>`,
+                    iconSize: [18, 18],
+                    iconAnchor: [9, 9]
+                })
+            })
+                .bindTooltip(label, {
+                    permanent: true,
+                    direction: 'top',
+                    offset: [0, -10],
+                    className: 'device-marker-label'
+                })
+                .bindPopup(this.getDevicePopup(device, label))
+                .addTo(this.deviceLayer);
+        } else {
+            device.marker.setLatLng(position);
+            device.marker.setTooltipContent(label);
+            device.marker.setPopupContent(this.getDevicePopup(device, label));
+        }
+    }
+
+    getDevicePopup(device, label) {
+        const { latitude, longitude, accuracy, speed, altitude, environmental } = device.location;
+        const rows = [
+            `📍 ${latitude.toFixed(6)}, ${longitude.toFixed(6)}`,
+            `🎯 Accuracy: ${accuracy ? accuracy.toFixed(0) + 'm' : '--'}`,
+            `⚡ Speed: ${speed ? (speed * 3.6).toFixed(1) + ' km/h' : '--'}`,
+            `⛰️ Altitude: ${altitude ? altitude.toFixed(0) + 'm' : '--'}`
+        ];
+        
+        if (environmental) {
+            rows.push(`🌡️ ${environmental.temperature ?? '--'}°C · ${environmental.airQuality || '--'} air`);
+        }
+        
+        // The device only shares an approximate position
+        if (device.location.precision) {
+            rows.push('🙈 Approximate position');
+        }
+        
+        return `
+            <div class="device-popup">
+                <h4 style="color: ${device.color}">${label}</h4>
+                ${rows.map(row => `<div>${row}</div>`).join('')}
+                <small>Last seen ${(device.lastSeen || new Date()).toLocaleTimeString()}</small>
+            </div>
+        `;
+    }
+
+    removeDeviceMarker(socketId) {
+        const device = this.devices.get(socketId);
+        if (!device) return;
+        
+        if (device.marker && this.deviceLayer) {
+            this.deviceLayer.removeLayer(device.marker);
+        }
+        this.devices.delete(socketId);
+    }
+
+    clearDeviceMarkers() {
+        if (this.deviceLayer) {
+            this.deviceLayer.clearLayers();
+        }
+        this.devices.clear();
+    }
+
+    // Geofence Methods
+    addGeofence(fence) {
+        if (!this.geofenceLayer) return;
+        this.removeGeofence(fence.fenceId);
+
+        const style = {
+            color: fence.personal ? '#ffb347' : '#00bcd4',
+            weight: 2,
+            fillOpacity: 0.1
+        };
+        const layer = fence.type === 'circle'
+            ? L.circle([fence.center.latitude, fence.center.longitude], { ...style, radius: fence.radius })
+            : L.polygon(fence.polygon, style);
+
+        layer.bindTooltip(this.escapeHtml(fence.name), { direction: 'center', className: 'device-marker-label' });
+        layer.bindPopup(() => this.getGeofencePopup(fence));
+        layer.addTo(this.geofenceLayer);
+
+        this.geofences.set(fence.fenceId, { fence, layer, style });
+    }
+
+    getGeofencePopup(fence) {
+        const container = document.createElement('div');
+        container.className = 'device-popup';
+        container.innerHTML = `
+            <h4>🚧 ${this.escapeHtml(fence.name)}</h4>
+            <div>${fence.type === 'circle' ? `Circle · ${Math.round(fence.radius)}m radius` : `Polygon · ${fence.polygon.length} points`}</div>
+            <div>Dwell alert after ${Math.round(fence.dwellSeconds / 60)} min</div>
+            ${fence.personal ? '<div>Only applies to this device</div>' : ''}
+        `;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'geofence-delete-btn';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => this.deleteGeofence(fence.fenceId));
+        container.appendChild(deleteBtn);
+
+        return container;
+    }
+
+    removeGeofence(fenceId) {
+        const entry = this.geofences.get(fenceId);
+        if (!entry) return;
+
+        this.geofenceLayer.removeLayer(entry.layer);
+        this.geofences.delete(fenceId);
+    }
+
+    clearGeofences() {
+        if (this.geofenceLayer) {
+            this.geofenceLayer.clearLayers();
+        }
+        this.geofences.clear();
+    }
+
+    handleGeofenceEvent(data) {
+        const isSelf = data.socketId === this.socket.id;
+        const device = this.devices.get(data.socketId);
+        const who = isSelf ? 'You' : (device ? this.getDeviceLabel(device) : 'A device');
+        const messages = {
+            enter: `🚧 ${who} entered ${data.fenceName}`,
+            exit: `🚧 ${who} left ${data.fenceName}`,
+            dwell: `🚧 ${who} ${isSelf ? 'have' : 'has'} been in ${data.fenceName} for a while`
+        };
+        this.showNotification(messages[data.event] || `🚧 Geofence ${data.event}`, data.event === 'exit' ? 'warning' : 'info');
+
+        // Briefly highlight the fence that was crossed
+        const entry = this.geofences.get(data.fenceId);
+        if (entry) {
+            entry.layer.setStyle({ color: data.event === 'exit' ? '#f44336' : '#4caf50', fillOpacity: 0.3 });
+            setTimeout(() => entry.layer.setStyle(entry.style), 2000);
+        }
+    }
+
+    // Create a circular geofence around the current position (or the map center)
+    async createGeofenceHere() {
+        const name = prompt('Geofence name:');
+        if (!name || !name.trim()) return;
+
+        const radius = parseFloat(prompt('Radius in meters:', '200'));
+        if (!radius || radius <= 0) {
+            this.showNotification('❌ Invalid radius', 'error');
+            return;
+        }
+
+        const center = this.marker ? this.marker.getLatLng() : this.map.getCenter();
+
+        try {
+            const response = await fetch('/api/geofences', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Device-Token': this.getDeviceToken()
+                },
+                body: JSON.stringify({
+                    name: name.trim(),
+                    type: 'circle',
+                    center: { latitude: center.lat, longitude: center.lng },
+                    radius,
+                    groupId: this.currentGroup ? this.currentGroup.groupId : undefined
+                })
+            });
+            const fence = await response.json();
+
+            if (!response.ok) {
+                throw new Error(fence.error || 'Failed to create geofence');
+            }
+
+            this.showNotification(`🚧 Geofence "${fence.name}" created`, 'success');
+        } catch (error) {
+            console.error('❌ Failed to create geofence:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    async deleteGeofence(fenceId) {
+        try {
+            const response = await fetch(`/api/geofences/${encodeURIComponent(fenceId)}`, {
+                method: 'DELETE',
+                headers: { 'X-Device-Token': this.getDeviceToken() }
+            });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Failed to delete geofence');
+            }
+
+            this.map.closePopup();
+        } catch (error) {
+            console.error('❌ Failed to delete geofence:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
     updateDisplay(lat, lng, accuracy, speed, altitude) {
         this.updateElement('#lat-value', lat.toFixed(8));
         this.updateElement('#lng-value', lng.toFixed(8));
@@ -629,9 +1337,10 @@ class LightningTracker {
     }
 
     updateStatistics() {
-        this.updateElement('#updates-count', this.updateCount);
-        this.updateElement('#total-distance', (this.totalDistance * 1000).toFixed(0) + 'm');
-        this.updateElement('#max-speed', (this.maxSpeed * 3.6).toFixed(1) + ' km/h');
+        // A running replay owns the counters until it is closed
+        if (!this.replay) {
+            this.renderStatistics(this.updateCount, this.totalDistance, this.maxSpeed);
+        }
         
         if (this.startTime) {
             const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
@@ -641,6 +1350,22 @@ class LightningTracker {
         }
     }
 
+    addFilteredPosition(position) {
+        const latLng = [position.latitude, position.longitude];
+        if (this.lastFilteredPosition) {
+            this.totalDistance += this.calculateDistance(this.lastFilteredPosition, latLng);
+            this.updateStatistics();
+        }
+        this.lastFilteredPosition = latLng;
+    }
+
+    // Distance in km, max speed in m/s
+    renderStatistics(updateCount, totalDistance, maxSpeed) {
+        this.updateElement('#updates-count', updateCount);
+        this.updateElement('#total-distance', (totalDistance * 1000).toFixed(0) + 'm');
+        this.updateElement('#max-speed', (maxSpeed * 3.6).toFixed(1) + ' km/h');
+    }
+
     calculateDistance(pos1, pos2) {
         const R = 6371; // Earth's radius in kilometers
         const dLat = this.toRad(pos2[0] - pos1[0]);
@@ -678,9 +1403,8 @@ class LightningTracker {
     toggleTrail() {
         this.showTrail = !this.showTrail;
         
-        if (!this.showTrail && this.trailPolyline) {
-            this.map.removeLayer(this.trailPolyline);
-            this.trail = [];
+        if (!this.showTrail) {
+            this.clearTrail();
         }
         
         const btnText = this.showTrail ? '<i class="fas fa-eye-slash"></i> HIDE TRAIL' : '<i class="fas fa-route"></i> SHOW TRAIL';
@@ -699,24 +1423,64 @@ class LightningTracker {
         this.showNotification(`🏎️ Speed mode ${this.speedMode ? 'enabled' : 'disabled'}`, 'info');
     }
 
+    // Extend the trail by one fix. Straight stretches collapse into a single
+    // segment, so the whole session stays on the map without the polyline
+    // growing with every fix; Leaflet thins it further when zoomed out.
     addToTrail(latLng) {
-        this.trail.push(latLng);
+        if (!this.trailPolyline) {
+            this.trailPolyline = L.polyline([], {
+                color: '#ffb347',
+                weight: 3,
+                opacity: 0.8,
+                dashArray: '5, 5'
+            }).addTo(this.map);
+        }
         
-        // Keep only last 500 points to prevent memory issues
-        if (this.trail.length > 500) {
-            this.trail = this.trail.slice(-500);
+        const trail = this.trail;
+        if (trail.length >= 2) {
+            const anchor = trail[trail.length - 2];
+            const covered = [...this.trailSkipped, trail[trail.length - 1]];
+            
+            if (covered.length < TRAIL_MAX_SKIPPED &&
+                covered.every(point => this.distanceToSegment(point, anchor, latLng) <= TRAIL_TOLERANCE_METERS)) {
+                // Still a straight line from the anchor: move its end instead of adding a vertex
+                this.trailSkipped = covered;
+                trail[trail.length - 1] = latLng;
+                
+                const latLngs = this.trailPolyline.getLatLngs();
+                latLngs[latLngs.length - 1] = L.latLng(latLng);
+                this.trailPolyline.redraw();
+                return;
+            }
         }
+        
+        this.trailSkipped = [];
+        trail.push(latLng);
+        this.trailPolyline.addLatLng(latLng);
+    }
 
+    clearTrail() {
         if (this.trailPolyline) {
             this.map.removeLayer(this.trailPolyline);
+            this.trailPolyline = null;
         }
+        this.trail = [];
+        this.trailSkipped = [];
+    }
 
-        this.trailPolyline = L.polyline(this.trail, {
-            color: '#ffb347',
-            weight: 3,
-            opacity: 0.8,
-            dashArray: '5, 5'
-        }).addTo(this.map);
+    // Meters from a point to the segment between two [lat, lng] points, on a
+    // flat projection around the segment start
+    distanceToSegment(point, start, end) {
+        const metersPerDegree = 6371000 * Math.PI / 180;
+        const lngScale = Math.cos(this.toRad(start[0]));
+        const x = (point[1] - start[1]) * lngScale * metersPerDegree;
+        const y = (point[0] - start[0]) * metersPerDegree;
+        const dx = (end[1] - start[1]) * lngScale * metersPerDegree;
+        const dy = (end[0] - start[0]) * metersPerDegree;
+        
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSquared)) : 0;
+        return Math.hypot(x - t * dx, y - t * dy);
     }
 
     centerOnUser() {
@@ -743,6 +1507,563 @@ class LightningTracker {
         this.showNotification('📸 Screenshot feature coming soon!', 'info');
     }
 
+    // Create a read-only share link for this session, or revoke the active one
+    async toggleShareLink() {
+        if (this.activeShareToken) {
+            if (confirm('Revoke the current share link?')) {
+                await this.revokeShareLink();
+            }
+            return;
+        }
+
+        if (!this.sessionId) {
+            this.showNotification('❌ No recorded session to share yet', 'warning');
+            return;
+        }
+
+        const minutes = prompt('Share link valid for how many minutes?', '60');
+        if (minutes === null) return;
+
+        try {
+            const response = await fetch(`/api/session/${encodeURIComponent(this.sessionId)}/share`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Device-Token': this.getDeviceToken()
+                },
+                body: JSON.stringify({ expiresInMinutes: parseInt(minutes, 10) })
+            });
+            const share = await response.json();
+
+            if (!response.ok) {
+                throw new Error(share.error || 'Failed to create share link');
+            }
+
+            this.activeShareToken = share.token;
+            document.querySelector('#share-btn')?.classList.add('active');
+
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(share.url);
+                this.showNotification('🔗 Share link copied to clipboard', 'success');
+            } else {
+                prompt('Share this link:', share.url);
+            }
+        } catch (error) {
+            console.error('❌ Failed to create share link:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    async importTrack(file) {
+        const isGpx = file.name.toLowerCase().endsWith('.gpx');
+        
+        try {
+            this.showNotification(`📥 Importing ${file.name}...`, 'info');
+            
+            const response = await fetch(`/api/import?name=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': isGpx ? 'application/gpx+xml' : 'application/geo+json',
+                    'X-Device-Token': this.getDeviceToken()
+                },
+                body: await file.text()
+            });
+            const result = await response.json();
+            
+            if (response.status === 422) {
+                console.warn(`⚠️ ${file.name} has ${result.errors.length} error(s):`);
+                result.errors.forEach(error => console.warn(`   line ${error.line}: ${error.message}`));
+                
+                const [first] = result.errors;
+                const more = result.errors.length > 1 ? ` (+${result.errors.length - 1} more, see console)` : '';
+                throw new Error(`Line ${first.line}: ${first.message}${more}`);
+            }
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to import track');
+            }
+            
+            const distance = result.analytics?.totalDistance || 0;
+            this.showNotification(`📥 Imported ${result.pointCount} points, ${distance.toFixed(2)} km`, 'success');
+            
+            const replayInput = document.querySelector('#replay-session-id');
+            if (replayInput) {
+                replayInput.value = result.sessionId;
+            }
+            await this.showImportedTrack(result);
+        } catch (error) {
+            console.error('❌ Failed to import track:', error);
+            this.showNotification(`❌ Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Draw an imported session from its GeoJSON export
+    async showImportedTrack(result) {
+        const response = await fetch(`/api/session/${encodeURIComponent(result.sessionId)}/export?format=geojson`);
+        if (!response.ok || !this.map) return;
+        
+        const { features } = await response.json();
+        const latLngs = features.map(feature => [feature.geometry.coordinates[1], feature.geometry.coordinates[0]]);
+        if (latLngs.length === 0) return;
+        
+        if (this.importedTrack) {
+            this.map.removeLayer(this.importedTrack);
+        }
+        
+        // The name comes from the file, so it is set as text rather than HTML
+        const popup = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = result.name || 'Imported track';
+        popup.append(title, document.createElement('br'), `${result.pointCount} points`);
+        
+        this.importedTrack = L.polyline(latLngs, {
+            color: '#00bcd4',
+            weight: 4,
+            opacity: 0.85
+        })
+            .bindPopup(popup)
+            .addTo(this.map);
+        
+        this.map.fitBounds(this.importedTrack.getBounds(), { padding: [30, 30] });
+    }
+
+    toggleHeatmap() {
+        if (!this.map) return;
+        this.showHeatmap = !this.showHeatmap;
+        
+        if (this.showHeatmap) {
+            this.areaRenderer = this.areaRenderer || L.canvas();
+            this.heatmapLayer = L.layerGroup().addTo(this.map);
+            this.loadHeatmap();
+        } else {
+            this.heatmapRequest?.abort();
+            this.map.removeLayer(this.heatmapLayer);
+            this.heatmapLayer = null;
+        }
+        
+        const btnText = this.showHeatmap ? '<i class="fas fa-fire"></i> HIDE HEATMAP' : '<i class="fas fa-fire"></i> HEATMAP';
+        this.updateButton('.heatmap-btn', btnText, this.showHeatmap ? 'active' : '');
+        this.showNotification(`🔥 Heatmap ${this.showHeatmap ? 'enabled' : 'disabled'}`, 'info');
+    }
+
+    // Draw the density of recorded points in the map view, one cell per
+    // eighth of a map tile, hotter where devices spent more time
+    async loadHeatmap() {
+        const bbox = this.getViewBbox();
+        if (!bbox) {
+            this.heatmapLayer?.clearLayers();
+            return;
+        }
+        
+        const params = new URLSearchParams({
+            bbox,
+            zoom: Math.min(Math.max(Math.round(this.map.getZoom()), 0), 20)
+        });
+        if (this.currentGroup) {
+            params.set('groupId', this.currentGroup.groupId);
+        }
+        
+        this.heatmapRequest?.abort();
+        const request = new AbortController();
+        this.heatmapRequest = request;
+        
+        try {
+            const response = await fetch(`/api/heatmap?${params}`, {
+                headers: { 'X-Device-Token': this.getDeviceToken() },
+                signal: request.signal
+            });
+            const heatmap = await response.json();
+            if (!response.ok) {
+                throw new Error(heatmap.error || 'Failed to load heatmap');
+            }
+            if (!this.heatmapLayer) return;
+            
+            this.heatmapLayer.clearLayers();
+            const scale = Math.log(heatmap.maxCount + 1);
+            heatmap.cells.forEach(cell => {
+                // Log scale, so a few busy cells do not wash out the rest
+                const heat = scale > 0 ? Math.log(cell.count + 1) / scale : 0;
+                const bounds = [
+                    [cell.latitude, cell.longitude],
+                    [cell.latitude + heatmap.cellSize, cell.longitude + heatmap.cellSize]
+                ];
+                
+                L.rectangle(bounds, {
+                    renderer: this.areaRenderer,
+                    stroke: false,
+                    fillColor: `hsl(${Math.round(240 - heat * 240)}, 100%, 50%)`,
+                    fillOpacity: 0.2 + heat * 0.45
+                })
+                    .bindTooltip(this.getHeatmapTooltip(cell))
+                    .addTo(this.heatmapLayer);
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('❌ Failed to load heatmap:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    getHeatmapTooltip(cell) {
+        const lines = [`${cell.count} points, ${cell.sessions} session${cell.sessions === 1 ? '' : 's'}`];
+        const { temperature, aqi, humidity } = cell.environmental;
+        if (temperature !== null) lines.push(`Avg temperature: ${temperature}°C`);
+        if (humidity !== null) lines.push(`Avg humidity: ${humidity}%`);
+        if (aqi !== null) lines.push(`Avg AQI: ${Math.round(aqi)}`);
+        return lines.join('<br>');
+    }
+
+    toggleAreaPoints() {
+        if (!this.map) return;
+        this.showAreaPoints = !this.showAreaPoints;
+        
+        if (this.showAreaPoints) {
+            this.areaRenderer = this.areaRenderer || L.canvas();
+            this.areaLayer = L.layerGroup().addTo(this.map);
+            this.loadAreaPoints();
+        } else {
+            this.areaRequest?.abort();
+            this.map.removeLayer(this.areaLayer);
+            this.areaLayer = null;
+        }
+        
+        document.querySelector('#area-btn')?.classList.toggle('active', this.showAreaPoints);
+        this.showNotification(`🗺️ Recorded points in view ${this.showAreaPoints ? 'shown' : 'hidden'}`, 'info');
+    }
+
+    // The map view as "minLng,minLat,maxLng,maxLat", or null when it shows no
+    // part of the world the API accepts
+    getViewBbox() {
+        const bounds = this.map.getBounds();
+        
+        // Leaflet's bounds run past ±180 where the world repeats
+        const west = Math.max(bounds.getWest(), -180);
+        const east = Math.min(bounds.getEast(), 180);
+        const south = Math.max(bounds.getSouth(), -90);
+        const north = Math.min(bounds.getNorth(), 90);
+        if (west >= east || south >= north) {
+            return null;
+        }
+        
+        return [west, south, east, north].map(value => value.toFixed(6)).join(',');
+    }
+
+    // Load the points of the last AREA_POINTS_HOURS recorded inside the map view
+    async loadAreaPoints() {
+        const bbox = this.getViewBbox();
+        if (!bbox) {
+            this.areaLayer?.clearLayers();
+            return;
+        }
+        
+        const params = new URLSearchParams({
+            bbox,
+            from: Date.now() - AREA_POINTS_HOURS * 60 * 60 * 1000,
+            limit: 2000
+        });
+        if (this.currentGroup) {
+            params.set('groupId', this.currentGroup.groupId);
+        }
+        
+        // Only the latest view matters
+        this.areaRequest?.abort();
+        const request = new AbortController();
+        this.areaRequest = request;
+        
+        try {
+            const response = await fetch(`/api/points?${params}`, {
+                headers: { 'X-Device-Token': this.getDeviceToken() },
+                signal: request.signal
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to load recorded points');
+            }
+            if (!this.areaLayer) return;
+            
+            this.areaLayer.clearLayers();
+            result.points.forEach(point => {
+                L.circleMarker([point.latitude, point.longitude], {
+                    renderer: this.areaRenderer,
+                    radius: 3,
+                    stroke: false,
+                    fillColor: '#00e676',
+                    fillOpacity: 0.6
+                })
+                    .bindTooltip(new Date(point.timestamp).toLocaleString())
+                    .addTo(this.areaLayer);
+            });
+            
+            if (result.truncated) {
+                console.log(`🗺️ Showing the latest ${result.points.length} points in view, zoom in for more`);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('❌ Failed to load recorded points:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    // Load every point of a past session, page by page, and replay it from its start
+    async loadReplay(sessionId) {
+        if (!sessionId) {
+            this.showNotification('❌ Enter a session ID to replay', 'warning');
+            return;
+        }
+        
+        try {
+            this.showNotification('⏪ Loading session...', 'info');
+            
+            const points = [];
+            let cursor = null;
+            do {
+                const params = new URLSearchParams({ limit: 5000 });
+                if (cursor) {
+                    params.set('cursor', cursor);
+                }
+                
+                const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}/points?${params}`, {
+                    headers: { 'X-Device-Token': this.getDeviceToken() }
+                });
+                const page = await response.json();
+                if (!response.ok) {
+                    throw new Error(page.error || 'Failed to load session');
+                }
+                
+                points.push(...page.points);
+                cursor = page.nextCursor;
+            } while (cursor);
+            
+            if (points.length === 0) {
+                throw new Error('Session has no recorded points');
+            }
+            
+            this.startReplay(sessionId, points);
+        } catch (error) {
+            console.error('❌ Failed to load replay:', error);
+            this.showNotification(`❌ Replay failed: ${error.message}`, 'error');
+        }
+    }
+
+    startReplay(sessionId, points) {
+        if (!this.map) return;
+        this.exitReplay();
+        
+        // Running totals at every point, so the panels can show any moment
+        // without replaying everything before it
+        const distances = [];
+        const maxSpeeds = [];
+        const environmentalIndex = [];
+        points.forEach((point, index) => {
+            const previous = points[index - 1];
+            distances.push(previous
+                ? distances[index - 1] + this.calculateDistance([previous.latitude, previous.longitude], [point.latitude, point.longitude])
+                : 0);
+            maxSpeeds.push(Math.max(previous ? maxSpeeds[index - 1] : 0, point.speed || 0));
+            
+            const hasReading = point.environmental && (point.environmental.temperature != null || point.environmental.airQuality);
+            environmentalIndex.push(hasReading ? index : (previous ? environmentalIndex[index - 1] : -1));
+        });
+        
+        const latLngs = points.map(point => [point.latitude, point.longitude]);
+        this.replayLayer = L.layerGroup().addTo(this.map);
+        const path = L.polyline(latLngs, {
+            color: '#ab47bc',
+            weight: 4,
+            opacity: 0.8
+        }).addTo(this.replayLayer);
+        const marker = L.circleMarker(latLngs[0], {
+            radius: 8,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#ab47bc',
+            fillOpacity: 1
+        }).addTo(this.replayLayer);
+        this.map.fitBounds(path.getBounds(), { padding: [30, 30] });
+        
+        const startTime = points[0].timestamp;
+        const endTime = points[points.length - 1].timestamp;
+        this.replay = {
+            sessionId,
+            points,
+            distances,
+            maxSpeeds,
+            environmentalIndex,
+            marker,
+            startTime,
+            endTime,
+            time: startTime,
+            index: -1,
+            speed: Number(document.querySelector('#replay-speed')?.value) || 1,
+            playing: false
+        };
+        
+        const scrubber = document.querySelector('#replay-scrubber');
+        if (scrubber) {
+            scrubber.max = endTime - startTime;
+        }
+        this.setReplayControlsEnabled(true);
+        this.updateElement('#replay-duration', this.formatReplayTime(endTime - startTime));
+        this.seekReplay(startTime);
+        
+        this.showNotification(`⏪ Replaying ${points.length} points`, 'success');
+    }
+
+    // Move the replay to a moment of the session (epoch ms)
+    seekReplay(time) {
+        const replay = this.replay;
+        if (!replay) return;
+        
+        replay.time = Math.min(Math.max(time, replay.startTime), replay.endTime);
+        
+        // Last point recorded at or before the replay time
+        let low = 0;
+        let high = replay.points.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (replay.points[middle].timestamp <= replay.time) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        
+        // Glide between fixes rather than jumping from one to the next
+        const point = replay.points[low];
+        const next = replay.points[low + 1];
+        let latLng = [point.latitude, point.longitude];
+        if (next && next.timestamp > point.timestamp) {
+            const fraction = (replay.time - point.timestamp) / (next.timestamp - point.timestamp);
+            latLng = [
+                point.latitude + (next.latitude - point.latitude) * fraction,
+                point.longitude + (next.longitude - point.longitude) * fraction
+            ];
+        }
+        replay.marker.setLatLng(latLng);
+        if (replay.playing && !this.map.getBounds().contains(latLng)) {
+            this.map.panTo(latLng);
+        }
+        
+        const scrubber = document.querySelector('#replay-scrubber');
+        if (scrubber) {
+            scrubber.value = replay.time - replay.startTime;
+        }
+        this.updateElement('#replay-time', this.formatReplayTime(replay.time - replay.startTime));
+        
+        // The panels show the session as it stood at its last fix
+        if (low !== replay.index) {
+            replay.index = low;
+            this.renderStatistics(low + 1, replay.distances[low], replay.maxSpeeds[low]);
+            
+            const environmentalIndex = replay.environmentalIndex[low];
+            this.renderEnvironmentalData(environmentalIndex >= 0 ? replay.points[environmentalIndex].environmental : {});
+        }
+    }
+
+    toggleReplayPlayback() {
+        if (!this.replay) return;
+        
+        if (this.replay.playing) {
+            this.pauseReplay();
+            return;
+        }
+        
+        // Playing again after the end starts over
+        if (this.replay.time >= this.replay.endTime) {
+            this.seekReplay(this.replay.startTime);
+        }
+        
+        this.replay.playing = true;
+        this.updateButton('.replay-play-btn', '<i class="fas fa-pause"></i>', 'active');
+        
+        // Session time advances by the wall time between frames times the speed
+        let lastFrame = performance.now();
+        const step = (now) => {
+            if (!this.replay?.playing) return;
+            
+            this.seekReplay(this.replay.time + (now - lastFrame) * this.replay.speed);
+            lastFrame = now;
+            
+            if (this.replay.time >= this.replay.endTime) {
+                this.pauseReplay();
+            } else {
+                this.replayFrame = requestAnimationFrame(step);
+            }
+        };
+        this.replayFrame = requestAnimationFrame(step);
+    }
+
+    pauseReplay() {
+        if (this.replayFrame) {
+            cancelAnimationFrame(this.replayFrame);
+            this.replayFrame = null;
+        }
+        if (this.replay) {
+            this.replay.playing = false;
+        }
+        this.updateButton('.replay-play-btn', '<i class="fas fa-play"></i>', '');
+    }
+
+    // Close the replay and hand the panels back to the live session
+    exitReplay() {
+        if (!this.replay) return;
+        
+        this.pauseReplay();
+        this.map.removeLayer(this.replayLayer);
+        this.replayLayer = null;
+        this.replay = null;
+        
+        const scrubber = document.querySelector('#replay-scrubber');
+        if (scrubber) {
+            scrubber.value = 0;
+            scrubber.max = 0;
+        }
+        this.setReplayControlsEnabled(false);
+        this.updateElement('#replay-time', '--:--');
+        this.updateElement('#replay-duration', '--:--');
+        
+        this.updateStatistics();
+        this.renderEnvironmentalData(this.environmentalData);
+    }
+
+    setReplayControlsEnabled(enabled) {
+        ['.replay-play-btn', '.replay-exit-btn', '#replay-scrubber'].forEach(selector => {
+            const control = document.querySelector(selector);
+            if (control) {
+                control.disabled = !enabled;
+            }
+        });
+    }
+
+    // Offset into the session as mm:ss, or h:mm:ss past the first hour
+    formatReplayTime(ms) {
+        const elapsed = Math.floor(ms / 1000);
+        const hours = Math.floor(elapsed / 3600);
+        const minutes = Math.floor((elapsed % 3600) / 60).toString().padStart(2, '0');
+        const seconds = (elapsed % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    async revokeShareLink() {
+        try {
+            const response = await fetch(`/api/share/${encodeURIComponent(this.activeShareToken)}`, {
+                method: 'DELETE',
+                headers: { 'X-Device-Token': this.getDeviceToken() }
+            });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Failed to revoke share link');
+            }
+
+            this.activeShareToken = null;
+            document.querySelector('#share-btn')?.classList.remove('active');
+            this.showNotification('🔗 Share link revoked', 'info');
+        } catch (error) {
+            console.error('❌ Failed to revoke share link:', error);
+            this.showNotification(`❌ ${error.message}`, 'error');
+        }
+    }
+
     updateButton(selector, html, activeClass) {
         const button = document.querySelector(selector);
         if (button) {
@@ -760,7 +2081,9 @@ class LightningTracker {
         
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.innerHTML = `<i class="fas fa-${this.getNotificationIcon(type)}"></i><span>${message}</span>`;
+        notification.innerHTML = `<i class="fas fa-${this.getNotificationIcon(type)}"></i><span></span>`;
+        // Messages carry names other clients chose, so they go in as text
+        notification.querySelector('span').textContent = message;
         
         document.body.appendChild(notification);
         
@@ -781,6 +2104,12 @@ class LightningTracker {
         return icons[type] || 'info-circle';
     }
 
+    // Text from other clients or the API, made safe to put into HTML
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
     updateElement(selector, value) {
         const element = document.querySelector(selector);
         if (element) {
@@ -803,22 +2132,46 @@ class LightningTracker {
             lastUpdated: new Date()
         };
         
-        // Update UI elements
+        // Keep the readings, but leave the panel to a running replay
+        if (!this.replay) {
+            this.renderEnvironmentalData(data);
+        }
+        
+        // Show notification for significant changes
+        if (this.shouldNotifyEnvironmentalChange(data)) {
+            this.showNotification(`🌡️ Environmental update: ${data.temperature}°C, ${data.airQuality} air quality`, 'info');
+        }
+    }
+    
+    renderEnvironmentalData(data) {
         this.updateElement('#temperature', `${data.temperature || '--'}°C`);
         this.updateElement('#humidity', `${data.humidity || '--'}%`);
         this.updateElement('#wind-speed', `${data.windSpeed || '--'} km/h`);
         this.updateElement('#visibility', `${data.visibility || '--'} km`);
-        this.updateElement('#air-quality', data.airQuality || '--');
+        this.updateElement('#air-quality', this.formatAirQuality(data));
+        this.updateElement('#pollutants', this.formatPollutants(data.pollutants));
         this.updateElement('#pressure', `${data.pressure || '--'} hPa`);
         this.updateElement('#uv-index', data.uvIndex || '--');
         
         // Update weather item styling based on values
         this.updateEnvironmentalStyling(data);
+    }
+    
+    formatAirQuality(data) {
+        if (!data.airQuality) return '--';
+        return data.aqi !== undefined && data.aqi !== null ? `${data.airQuality} (AQI ${data.aqi})` : data.airQuality;
+    }
+    
+    // Concentrations in µg/m³, e.g. "PM2.5 12 · PM10 30 · O₃ 70 · NO₂ 22"
+    formatPollutants(pollutants) {
+        if (!pollutants) return '--';
         
-        // Show notification for significant changes
-        if (this.shouldNotifyEnvironmentalChange(data)) {
-            this.showNotification(`🌡️ Environmental update: ${data.temperature}°C, ${data.airQuality} air quality`, 'info');
-        }
+        const labels = { pm25: 'PM2.5', pm10: 'PM10', o3: 'O₃', no2: 'NO₂' };
+        const parts = Object.entries(labels)
+            .filter(([key]) => pollutants[key] !== undefined && pollutants[key] !== null)
+            .map(([key, label]) => `${label} ${Math.round(pollutants[key])}`);
+        
+        return parts.length ? `${parts.join(' · ')} µg/m³` : '--';
     }
     
     updateEnvironmentalStyling(data) {
@@ -0,0 +1,125 @@
+// Read-only viewer for a shared live session
+class ShareViewer {
+    constructor() {
+        this.token = document.body.dataset.shareToken;
+        this.socket = null;
+        this.map = null;
+        this.marker = null;
+        this.trail = [];
+        this.trailPolyline = null;
+        this.hasCentered = false;
+        this.lastTimestamp = null;
+
+        this.initMap();
+        this.initSocket();
+    }
+
+    initMap() {
+        this.map = L.map('map', {
+            center: [23.8103, 90.4125],
+            zoom: 13
+        });
+
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(this.map);
+
+        this.trailPolyline = L.polyline([], {
+            color: '#ffb347',
+            weight: 3,
+            opacity: 0.8,
+            dashArray: '5, 5'
+        }).addTo(this.map);
+
+        setTimeout(() => this.map.invalidateSize(), 100);
+    }
+
+    initSocket() {
+        this.socket = io('/share', { auth: { token: this.token } });
+
+        this.socket.on('connect', () => {
+            console.log('🔗 Connected to shared session');
+            this.updateStatus('LIVE');
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('❌ Share connection error:', error.message);
+            this.updateStatus('LINK INVALID OR EXPIRED');
+            this.socket.disconnect();
+        });
+
+        this.socket.on('share-trail', (data) => {
+            this.updateElement('#expires-value', new Date(data.expiresAt).toLocaleString());
+            data.points.forEach(point => this.addPoint(point));
+        });
+
+        this.socket.on('user-location-update', (point) => {
+            this.updateStatus('LIVE');
+            this.addPoint(point);
+        });
+
+        // Live points arrive without an address; it follows once looked up
+        this.socket.on('location-address', (data) => {
+            if (data.timestamp === this.lastTimestamp) {
+                this.updateElement('#address-value', data.address?.formattedAddress || '--');
+            }
+        });
+
+        this.socket.on('device-left', () => {
+            this.updateStatus('DEVICE OFFLINE');
+        });
+
+        this.socket.on('share-expired', (data) => {
+            this.updateStatus(data.reason === 'revoked' ? 'LINK REVOKED' : 'LINK EXPIRED');
+        });
+    }
+
+    addPoint(point) {
+        const position = [point.latitude, point.longitude];
+
+        this.trail.push(position);
+        this.trailPolyline.setLatLngs(this.trail);
+
+        if (this.marker) {
+            this.marker.setLatLng(position);
+        } else {
+            this.marker = L.marker(position).addTo(this.map);
+        }
+
+        if (!this.hasCentered) {
+            this.map.setView(position, 16);
+            this.hasCentered = true;
+        } else {
+            this.map.panTo(position);
+        }
+
+        this.updateElement('#lat-value', point.latitude.toFixed(6));
+        this.updateElement('#lng-value', point.longitude.toFixed(6));
+        this.updateElement('#speed-value', point.speed ? (point.speed * 3.6).toFixed(1) + ' km/h' : '-- km/h');
+        this.updateElement('#updated-value', new Date(point.timestamp || Date.now()).toLocaleTimeString());
+        this.lastTimestamp = point.timestamp;
+        this.updateElement('#address-value', point.address?.formattedAddress || '--');
+
+        if (point.environmental) {
+            this.updateElement('#temperature', `${point.environmental.temperature ?? '--'}°C`);
+            const { airQuality, aqi } = point.environmental;
+            this.updateElement('#air-quality', airQuality ? `${airQuality}${aqi !== undefined && aqi !== null ? ` (AQI ${aqi})` : ''}` : '--');
+        }
+    }
+
+    updateElement(selector, value) {
+        const element = document.querySelector(selector);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+
+    updateStatus(status) {
+        this.updateElement('.status-text', status);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.viewer = new ShareViewer();
+});
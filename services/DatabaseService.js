@@ -1,9 +1,38 @@
 const mongoose = require('mongoose');
-const { UserSession, LocationTracking, UserAnalytics } = require('../models/User');
+const {
+    UserSession,
+    LocationTracking,
+    UserAnalytics,
+    TrackingGroup,
+    ShareLink,
+    Geofence,
+    GeofenceEvent,
+    TripSegment,
+    PrivacyAudit
+} = require('../models/User');
+const { addFix, computeTrackStats } = require('../utils/trackStats');
+const { DEVICE_ID_PATTERN, hashDeviceToken } = require('../utils/deviceId');
+
+// GeoJSON point stored next to the coordinates of every location
+function geoPoint(latitude, longitude) {
+    return { type: 'Point', coordinates: [longitude, latitude] };
+}
+
+// Points of a session, without those recorded while sharing was paused if sharedOnly
+function sessionPointsFilter(sessionId, sharedOnly) {
+    return sharedOnly ? { sessionId, shared: { $ne: false } } : { sessionId };
+}
 
 class DatabaseService {
     constructor() {
         this.isConnected = false;
+
+        // How long after a disconnect the same device may pick its session back up
+        this.sessionResumeGraceMs = (parseInt(process.env.SESSION_RESUME_GRACE_SECONDS, 10) || 300) * 1000;
+
+        // sessionId -> promise of the last analytics update, so updates of one
+        // session are applied one after another
+        this.analyticsUpdates = new Map();
     }
 
     async connect() {
@@ -22,6 +51,11 @@ class DatabaseService {
                 connectTimeoutMS: 10000
             });
 
+            // Before any socket can resume a session: ownership checks compare
+            // hashes, and sessions left open by the last run must not be resumed
+            await this.migrateDeviceIds();
+            await this.closeStaleSessions();
+
             this.isConnected = true;
             console.log('✅ Connected to MongoDB successfully!');
             console.log('🗄️ Database: lightning_tracker');
@@ -37,6 +71,9 @@ class DatabaseService {
                 this.isConnected = false;
             });
 
+            // Runs in the background; queries by area skip points it has not reached yet
+            this.migrateLocationPoints();
+
         } catch (error) {
             console.error('❌ Failed to connect to MongoDB:', error);
             this.isConnected = false;
@@ -44,6 +81,73 @@ class DatabaseService {
         }
     }
 
+    // Add the GeoJSON point to locations stored before it existed
+    async migrateLocationPoints() {
+        try {
+            const result = await LocationTracking.updateMany(
+                { location: { $exists: false } },
+                [{
+                    $set: {
+                        location: {
+                            type: 'Point',
+                            coordinates: ['$coordinates.longitude', '$coordinates.latitude']
+                        }
+                    }
+                }]
+            );
+
+            if (result.modifiedCount > 0) {
+                console.log(`🗺️ Added GeoJSON points to ${result.modifiedCount} stored locations`);
+            }
+        } catch (error) {
+            console.error('❌ Error migrating location points:', error);
+        }
+    }
+
+    // Replace device tokens stored before only their hash was kept
+    async migrateDeviceIds() {
+        try {
+            for (const Model of [UserSession, Geofence]) {
+                const tokens = await Model.distinct('deviceId', {
+                    deviceId: { $exists: true, $not: DEVICE_ID_PATTERN }
+                });
+                for (const token of tokens) {
+                    await Model.updateMany({ deviceId: token }, { deviceId: hashDeviceToken(token) });
+                }
+                if (tokens.length > 0) {
+                    console.log(`🔐 Hashed ${tokens.length} device token(s) in ${Model.collection.name}`);
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error migrating device ids:', error);
+        }
+    }
+
+    // Sessions still marked active when the server starts never got their
+    // disconnect. End them at their last activity, so a device coming back
+    // within the grace window still resumes; trips are split when first asked for.
+    async closeStaleSessions() {
+        const result = await UserSession.updateMany({ isActive: true }, [
+            {
+                $set: {
+                    isActive: false,
+                    disconnectionTime: { $ifNull: ['$lastActivity', '$connectionTime'] }
+                }
+            },
+            {
+                $set: {
+                    sessionDuration: {
+                        $floor: { $divide: [{ $subtract: ['$disconnectionTime', '$connectionTime'] }, 1000] }
+                    }
+                }
+            }
+        ]);
+
+        if (result.modifiedCount > 0) {
+            console.log(`👋 Closed ${result.modifiedCount} session(s) left active by the last run`);
+        }
+    }
+
     async disconnect() {
         if (this.isConnected) {
             await mongoose.disconnect();
@@ -53,7 +157,7 @@ class DatabaseService {
     }
 
     // Create new user session when user connects
-    async createUserSession(socketId, userAgent, ipAddress) {
+    async createUserSession(socketId, userAgent, ipAddress, groupId, deviceId) {
         try {
             // Check if database is connected
             if (!this.isConnected) {
@@ -69,10 +173,13 @@ class DatabaseService {
             const session = new UserSession({
                 sessionId,
                 socketId,
+                deviceId,
                 userAgent,
                 ipAddress,
+                groupId,
                 deviceInfo,
                 connectionTime: new Date(),
+                lastActivity: new Date(),
                 isActive: true
             });
 
@@ -89,6 +196,48 @@ class DatabaseService {
         }
     }
 
+    // Resume the latest session of a device that reconnects within the grace
+    // window: one that ended since, or is still open and was active since but
+    // lost its socket without a disconnect. A session whose socket is still
+    // connected (another tab) keeps it, since points and the session end are
+    // matched by socket; isSocketConnected tells which sockets are.
+    async resumeUserSession(deviceId, socketId, groupId, isSocketConnected = () => false) {
+        try {
+            if (!this.isConnected || !deviceId) {
+                return null;
+            }
+
+            const graceStart = new Date(Date.now() - this.sessionResumeGraceMs);
+            const session = await UserSession.findOne({
+                deviceId,
+                $or: [
+                    { isActive: true, lastActivity: { $gte: graceStart } },
+                    { isActive: false, disconnectionTime: { $gte: graceStart } }
+                ]
+            }).sort({ connectionTime: -1 });
+
+            if (!session || (session.isActive && isSocketConnected(session.socketId))) {
+                return null;
+            }
+
+            // Only if no other socket took it over in the meantime
+            const resumed = await UserSession.findOneAndUpdate({ _id: session._id, socketId: session.socketId }, {
+                $set: { socketId, groupId, isActive: true, lastActivity: new Date() },
+                $unset: { disconnectionTime: 1, sessionDuration: 1 },
+                $inc: { reconnectCount: 1 }
+            });
+            if (!resumed) {
+                return null;
+            }
+
+            console.log(`🔁 User session resumed: ${session.sessionId}`);
+            return session.sessionId;
+        } catch (error) {
+            console.error('❌ Error resuming user session:', error);
+            return null;
+        }
+    }
+
     // End user session when user disconnects
     async endUserSession(socketId) {
         try {
@@ -117,24 +266,28 @@ class DatabaseService {
         }
     }
 
-    // Log location data
-    async logLocationData(socketId, locationData, environmentalData) {
+    // Log location data; returns the id of the stored point, whose address
+    // setLocationAddress fills in once it is known.
+    // sharing: { groupId, sharingPaused, precision, precisionMeters } of the
+    // device when it recorded the point
+    async logLocationData(socketId, locationData, environmentalData, rawCoordinates, sharing = {}) {
         try {
             // Check if database is connected
             if (!this.isConnected) {
                 console.log('⚠️ Database not connected, skipping location data logging');
-                return;
+                return null;
             }
 
             const session = await UserSession.findOne({ socketId, isActive: true });
             if (!session) {
                 console.warn('⚠️ No active session found for location logging');
-                return;
+                return null;
             }
 
             const locationRecord = new LocationTracking({
                 sessionId: session.sessionId,
                 socketId,
+                groupId: sharing.groupId,
                 coordinates: {
                     latitude: locationData.latitude,
                     longitude: locationData.longitude,
@@ -142,18 +295,69 @@ class DatabaseService {
                     altitude: locationData.altitude,
                     speed: locationData.speed
                 },
+                location: geoPoint(locationData.latitude, locationData.longitude),
+                rawCoordinates,
+                shared: !sharing.sharingPaused,
+                precision: sharing.precision && sharing.precision !== 'exact'
+                    ? { mode: sharing.precision, meters: sharing.precisionMeters }
+                    : undefined,
                 environmental: environmentalData,
                 timestamp: new Date(locationData.timestamp)
             });
 
             await locationRecord.save();
+            await UserSession.updateOne({ _id: session._id }, { lastActivity: new Date() });
 
             // Update analytics
             await this.updateUserAnalytics(session.sessionId, locationData);
 
             console.log(`📍 Location logged for session: ${session.sessionId}`);
+            return locationRecord._id;
         } catch (error) {
             console.error('❌ Error logging location data:', error);
+            return null;
+        }
+    }
+
+    // Add the address of a stored point, to the session where it is the first
+    // one known and to the start or end location of the analytics it is
+    async setLocationAddress(recordId, address) {
+        try {
+            if (!this.isConnected || !recordId || !address) {
+                return;
+            }
+
+            const record = await LocationTracking.findByIdAndUpdate(recordId, { address }, {
+                projection: { sessionId: 1, timestamp: 1 }
+            }).lean();
+            if (!record) return;
+
+            // The first known address tells where the session took place
+            await UserSession.updateOne(
+                { sessionId: record.sessionId, country: null, city: null },
+                { country: address.country, city: address.city }
+            );
+
+            await this.queueAnalyticsUpdate(record.sessionId, analytics => {
+                for (const location of [analytics.startLocation, analytics.endLocation]) {
+                    if (location && new Date(location.timestamp).getTime() === record.timestamp.getTime()) {
+                        location.address = address.formattedAddress;
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error setting location address:', error);
+        }
+    }
+
+    // Count a fix the noise filter dropped instead of storing it
+    async countRejectedFix(sessionId) {
+        try {
+            if (!this.isConnected) return;
+
+            await UserAnalytics.updateOne({ sessionId }, { $inc: { rejectedFixes: 1 } });
+        } catch (error) {
+            console.error('❌ Error counting rejected fix:', error);
         }
     }
 
@@ -175,37 +379,502 @@ class DatabaseService {
         }
     }
 
-    // Update user analytics
+    // Update user analytics with distance, speeds, moving time and elevation
     async updateUserAnalytics(sessionId, locationData) {
+        await this.queueAnalyticsUpdate(sessionId, analytics => addFix(analytics, locationData));
+    }
+
+    // Apply a change to the analytics of a session after the ones queued before it
+    async queueAnalyticsUpdate(sessionId, apply) {
+        const previous = this.analyticsUpdates.get(sessionId) || Promise.resolve();
+        const update = previous.then(async () => {
+            try {
+                const analytics = await UserAnalytics.findOne({ sessionId });
+                if (!analytics) return;
+
+                apply(analytics);
+                await analytics.save();
+            } catch (error) {
+                console.error('❌ Error updating user analytics:', error);
+            }
+        });
+
+        this.analyticsUpdates.set(sessionId, update);
+        await update;
+
+        // Forget the chain once nothing else is queued behind this update
+        if (this.analyticsUpdates.get(sessionId) === update) {
+            this.analyticsUpdates.delete(sessionId);
+        }
+    }
+
+    // Record which tracking group the active session belongs to
+    async updateSessionGroup(socketId, groupId) {
         try {
-            const analytics = await UserAnalytics.findOne({ sessionId });
-            if (!analytics) return;
+            if (!this.isConnected) {
+                return;
+            }
 
-            // Increment location updates
-            analytics.totalLocationUpdates += 1;
+            await UserSession.findOneAndUpdate({ socketId, isActive: true }, { groupId });
+            console.log(`👥 Session for ${socketId} moved to group: ${groupId}`);
+        } catch (error) {
+            console.error('❌ Error updating session group:', error);
+        }
+    }
 
-            // Update max speed
-            if (locationData.speed && locationData.speed > analytics.maxSpeed) {
-                analytics.maxSpeed = locationData.speed * 3.6; // Convert m/s to km/h
+    // Persist a newly created tracking group
+    async createTrackingGroup(group) {
+        try {
+            if (!this.isConnected) {
+                console.log('⚠️ Database not connected, tracking group kept in memory only');
+                return;
             }
 
-            // Set start location if this is the first update
-            if (analytics.totalLocationUpdates === 1) {
-                analytics.startLocation = {
-                    latitude: locationData.latitude,
-                    longitude: locationData.longitude
-                };
+            await new TrackingGroup(group).save();
+        } catch (error) {
+            console.error('❌ Error creating tracking group:', error);
+        }
+    }
+
+    // Find a tracking group by its invite code
+    async findTrackingGroupByInviteCode(inviteCode) {
+        try {
+            if (!this.isConnected) {
+                return null;
             }
 
-            // Always update end location
-            analytics.endLocation = {
-                latitude: locationData.latitude,
-                longitude: locationData.longitude
-            };
+            return await TrackingGroup.findOne({ inviteCode });
+        } catch (error) {
+            console.error('❌ Error finding tracking group:', error);
+            return null;
+        }
+    }
 
-            await analytics.save();
+    // Store a session uploaded from a track file with all its points and analytics
+    async createImportedSession(session, points, addresses = {}) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const sessionDuration = Math.round((last.timestamp - first.timestamp) / 1000);
+
+        await new UserSession({
+            ...session,
+            country: addresses.start?.country,
+            city: addresses.start?.city,
+            connectionTime: new Date(first.timestamp),
+            disconnectionTime: new Date(last.timestamp),
+            sessionDuration,
+            isActive: false
+        }).save();
+
+        try {
+            for (let i = 0; i < points.length; i += 1000) {
+                await LocationTracking.insertMany(points.slice(i, i + 1000).map(point => ({
+                    sessionId: session.sessionId,
+                    socketId: session.socketId,
+                    coordinates: {
+                        latitude: point.latitude,
+                        longitude: point.longitude,
+                        altitude: point.altitude,
+                        speed: point.speed
+                    },
+                    location: geoPoint(point.latitude, point.longitude),
+                    timestamp: new Date(point.timestamp)
+                })), { ordered: false });
+            }
+
+            const stats = computeTrackStats(points);
+            const analytics = await new UserAnalytics({
+                ...stats,
+                sessionId: session.sessionId,
+                startLocation: { ...stats.startLocation, address: addresses.start?.formattedAddress },
+                endLocation: { ...stats.endLocation, address: addresses.end?.formattedAddress }
+            }).save();
+            console.log(`📥 Imported session ${session.sessionId} with ${points.length} points`);
+
+            return analytics;
+        } catch (error) {
+            // Do not leave a half imported session behind
+            await LocationTracking.deleteMany({ sessionId: session.sessionId });
+            await UserSession.deleteOne({ sessionId: session.sessionId });
+            throw error;
+        }
+    }
+
+    // Get a single session by its id
+    async getSession(sessionId) {
+        try {
+            if (!this.isConnected) {
+                return null;
+            }
+
+            return await UserSession.findOne({ sessionId });
+        } catch (error) {
+            console.error('❌ Error getting session:', error);
+            return null;
+        }
+    }
+
+    // Get the most recent shared points of a session, oldest first
+    async getRecentLocations(sessionId, limit = 200) {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            const locations = await LocationTracking.find({ sessionId, shared: { $ne: false } })
+                .sort({ timestamp: -1 })
+                .limit(limit)
+                .lean();
+
+            return locations.reverse();
+        } catch (error) {
+            console.error('❌ Error getting recent locations:', error);
+            return [];
+        }
+    }
+
+    // Flatten a stored LocationTracking record into the shape clients receive live
+    toLocationPoint(record) {
+        return {
+            latitude: record.coordinates.latitude,
+            longitude: record.coordinates.longitude,
+            accuracy: record.coordinates.accuracy,
+            altitude: record.coordinates.altitude,
+            speed: record.coordinates.speed,
+            environmental: record.environmental,
+            address: record.address,
+            timestamp: new Date(record.timestamp).getTime()
+        };
+    }
+
+    // Get every point of a session as flat location points, oldest first;
+    // sharedOnly leaves out the points recorded while sharing was paused
+    async getSessionLocations(sessionId, { sharedOnly = false } = {}) {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            const locations = await LocationTracking.find(sessionPointsFilter(sessionId, sharedOnly))
+                .sort({ timestamp: 1 })
+                .lean();
+
+            return locations.map(record => this.toLocationPoint(record));
+        } catch (error) {
+            console.error('❌ Error getting session locations:', error);
+            return [];
+        }
+    }
+
+    // One page of a session's points, oldest first, optionally within a time
+    // range, each with the precision it was shared at. Pages continue after the { timestamp, id } of the previous page's
+    // last point, so points sharing a timestamp are neither skipped nor repeated.
+    async getSessionPointsPage(sessionId, { from, to, after, limit, sharedOnly = false }) {
+        if (!this.isConnected) {
+            return { points: [], last: null };
+        }
+
+        const filter = sessionPointsFilter(sessionId, sharedOnly);
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
+        }
+        if (after) {
+            filter.$or = [
+                { timestamp: { ...filter.timestamp, $gt: after.timestamp } },
+                { timestamp: after.timestamp, _id: { $gt: after.id } }
+            ];
+        }
+
+        const records = await LocationTracking.find(filter)
+            .sort({ timestamp: 1, _id: 1 })
+            .limit(limit)
+            .lean();
+
+        const lastRecord = records[records.length - 1];
+        return {
+            points: records.map(record => ({ ...this.toLocationPoint(record), precision: record.precision })),
+            last: lastRecord ? { timestamp: lastRecord.timestamp, id: lastRecord._id } : null
+        };
+    }
+
+    // Shared points recorded inside a GeoJSON polygon, newest first, optionally
+    // within a time range and for one session. Asks for one more than the limit
+    // so callers can tell whether the result was cut off.
+    async getPointsWithin(polygon, { groupId, from, to, sessionId, limit }) {
+        if (!this.isConnected) {
+            return [];
+        }
+
+        const filter = { location: { $geoWithin: { $geometry: polygon } }, groupId, shared: { $ne: false } };
+        if (sessionId) filter.sessionId = sessionId;
+        if (from || to) {
+            filter.timestamp = {};
+            if (from) filter.timestamp.$gte = from;
+            if (to) filter.timestamp.$lte = to;
+        }
+
+        const records = await LocationTracking.find(filter)
+            .sort({ timestamp: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        return records.map(record => ({
+            sessionId: record.sessionId,
+            precision: record.precision,
+            ...this.toLocationPoint(record)
+        }));
+    }
+
+    // Points a heatmap counts: the points a group shared, or the sessions of
+    // one device including the points it recorded while not sharing.
+    // Optionally limited to a polygon, a time range and a session.
+    async densityFilter({ polygon, from, to, sessionId, deviceId, groupId }) {
+        const match = deviceId ? {} : { groupId, shared: { $ne: false } };
+        if (polygon) match.location = { $geoWithin: { $geometry: polygon } };
+        if (from || to) {
+            match.timestamp = {};
+            if (from) match.timestamp.$gte = from;
+            if (to) match.timestamp.$lte = to;
+        }
+        if (deviceId) {
+            const sessionIds = await UserSession.distinct('sessionId', { deviceId });
+            match.sessionId = { $in: sessionId ? sessionIds.filter(id => id === sessionId) : sessionIds };
+        } else if (sessionId) {
+            match.sessionId = sessionId;
+        }
+        return match;
+    }
+
+    // Largest precision in meters that the points of a heatmap were shared
+    // at, 0 when they were all shared exactly
+    async getCoarsestPrecision(options) {
+        if (!this.isConnected) {
+            return 0;
+        }
+
+        const match = await this.densityFilter(options);
+        const record = await LocationTracking.findOne({ ...match, 'precision.meters': { $gt: 0 } }, { precision: 1 })
+            .sort({ 'precision.meters': -1 })
+            .lean();
+        return record?.precision?.meters || 0;
+    }
+
+    // Count points per grid cell of cellDegrees, with average readings, for
+    // the cells with the most points first; options as for densityFilter
+    async getDensityCells({ cellDegrees, limit, ...options }) {
+        if (!this.isConnected) {
+            return [];
+        }
+
+        const match = await this.densityFilter(options);
+        return LocationTracking.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        x: { $floor: { $divide: ['$coordinates.longitude', cellDegrees] } },
+                        y: { $floor: { $divide: ['$coordinates.latitude', cellDegrees] } }
+                    },
+                    count: { $sum: 1 },
+                    sessions: { $addToSet: '$sessionId' },
+                    temperature: { $avg: '$environmental.temperature' },
+                    humidity: { $avg: '$environmental.humidity' },
+                    aqi: { $avg: '$environmental.aqi' },
+                    pm25: { $avg: '$environmental.pollutants.pm25' },
+                    uvIndex: { $avg: '$environmental.uvIndex' }
+                }
+            },
+            { $sort: { count: -1 } },
+            { $limit: limit + 1 },
+            {
+                $project: {
+                    _id: 0,
+                    x: '$_id.x',
+                    y: '$_id.y',
+                    count: 1,
+                    sessions: { $size: '$sessions' },
+                    temperature: 1,
+                    humidity: 1,
+                    aqi: 1,
+                    pm25: 1,
+                    uvIndex: 1
+                }
+            }
+        ]).allowDiskUse(true);
+    }
+
+    // Cursor over the raw points of a session, oldest first, for streaming;
+    // a projection limits the fields read, sharedOnly as for getSessionLocations
+    // and lastId leaves out the points stored after that one
+    getSessionLocationCursor(sessionId, projection, { sharedOnly = false, lastId } = {}) {
+        const filter = sessionPointsFilter(sessionId, sharedOnly);
+        if (lastId) filter._id = { $lte: lastId };
+
+        return LocationTracking.find(filter, projection)
+            .sort({ timestamp: 1, _id: 1 })
+            .lean()
+            .cursor({ batchSize: 500 });
+    }
+
+    // Id of the point of a session stored last, or null without points. Ids
+    // grow with storage time, unlike timestamps, which come from the device.
+    async getLastLocationId(sessionId) {
+        if (!this.isConnected) {
+            return null;
+        }
+
+        const record = await LocationTracking.findOne({ sessionId }, { _id: 1 }).sort({ _id: -1 }).lean();
+        return record ? record._id : null;
+    }
+
+    // Replace the trips and stops stored for a session
+    async replaceTripSegments(sessionId, segments) {
+        try {
+            if (!this.isConnected) {
+                return;
+            }
+
+            await TripSegment.deleteMany({ sessionId });
+            await TripSegment.insertMany(segments.map(segment => ({ ...segment, sessionId })));
+        } catch (error) {
+            console.error('❌ Error saving trip segments:', error);
+        }
+    }
+
+    // Get the trips and stops of a session in time order
+    async getTripSegments(sessionId) {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            return await TripSegment.find({ sessionId })
+                .sort({ startTime: 1 })
+                .select('-_id -__v -sessionId -createdAt -updatedAt')
+                .lean();
+        } catch (error) {
+            console.error('❌ Error getting trip segments:', error);
+            return [];
+        }
+    }
+
+    // Persist a new share link
+    async createShareLink(shareLink) {
+        if (!this.isConnected) {
+            throw new Error('Database not connected');
+        }
+
+        await new ShareLink(shareLink).save();
+    }
+
+    // Find a share link by its token
+    async findShareLink(token) {
+        try {
+            if (!this.isConnected) {
+                return null;
+            }
+
+            return await ShareLink.findOne({ token });
+        } catch (error) {
+            console.error('❌ Error finding share link:', error);
+            return null;
+        }
+    }
+
+    // Mark a share link as revoked
+    async revokeShareLink(token) {
+        try {
+            if (!this.isConnected) {
+                return null;
+            }
+
+            return await ShareLink.findOneAndUpdate(
+                { token },
+                { revoked: true, revokedAt: new Date() },
+                { new: true }
+            );
+        } catch (error) {
+            console.error('❌ Error revoking share link:', error);
+            return null;
+        }
+    }
+
+    // Persist a new geofence
+    async createGeofence(geofence) {
+        try {
+            if (!this.isConnected) {
+                console.log('⚠️ Database not connected, geofence kept in memory only');
+                return;
+            }
+
+            await new Geofence(geofence).save();
         } catch (error) {
-            console.error('❌ Error updating user analytics:', error);
+            console.error('❌ Error creating geofence:', error);
+        }
+    }
+
+    // Get all active geofences
+    async getActiveGeofences() {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            return await Geofence.find({ isActive: true }).lean();
+        } catch (error) {
+            console.error('❌ Error getting geofences:', error);
+            return [];
+        }
+    }
+
+    // Deactivate a geofence
+    async deactivateGeofence(fenceId) {
+        try {
+            if (!this.isConnected) {
+                return;
+            }
+
+            await Geofence.findOneAndUpdate({ fenceId }, { isActive: false });
+        } catch (error) {
+            console.error('❌ Error deactivating geofence:', error);
+        }
+    }
+
+    // Log an enter/exit/dwell event
+    async logGeofenceEvent(eventData) {
+        try {
+            if (!this.isConnected) {
+                return;
+            }
+
+            await new GeofenceEvent(eventData).save();
+        } catch (error) {
+            console.error('❌ Error logging geofence event:', error);
+        }
+    }
+
+    // Get recent events for a geofence
+    async getGeofenceEvents(fenceId, limit = 100) {
+        try {
+            if (!this.isConnected) {
+                return [];
+            }
+
+            // Events of paused devices and the session ids behind them stay private
+            return await GeofenceEvent.find({ fenceId, shared: { $ne: false } })
+                .select('-sessionId')
+                .sort({ timestamp: -1 })
+                .limit(limit)
+                .lean();
+        } catch (error) {
+            console.error('❌ Error getting geofence events:', error);
+            return [];
         }
     }
 
@@ -238,7 +907,8 @@ class DatabaseService {
     // Get session statistics
     async getSessionStats(sessionId) {
         try {
-            const session = await UserSession.findOne({ sessionId });
+            // The device id stays on the server: it identifies the device's data
+            const session = await UserSession.findOne({ sessionId }, { deviceId: 0 });
             const analytics = await UserAnalytics.findOne({ sessionId });
             const locationCount = await LocationTracking.countDocuments({ sessionId });
 
@@ -263,6 +933,173 @@ class DatabaseService {
         }
     }
 
+    // Sessions with raw points stored before the cutoff. Retention goes by when
+    // points were stored, as the timestamps of imported tracks lie in the past.
+    async getSessionsWithRawPointsBefore(cutoff) {
+        return LocationTracking.distinct('sessionId', {
+            createdAt: { $lt: cutoff },
+            downsampled: { $ne: true }
+        });
+    }
+
+    // Cursor over the raw points of a session stored before the cutoff,
+    // oldest first, with only the coordinates downsampling needs
+    getRawPointCursor(sessionId, cutoff) {
+        return LocationTracking.find(
+            { sessionId, createdAt: { $lt: cutoff }, downsampled: { $ne: true } },
+            { coordinates: 1 }
+        )
+            .sort({ timestamp: 1, _id: 1 })
+            .lean()
+            .cursor({ batchSize: 500 });
+    }
+
+    // Keep some points as a coarse track and delete the others
+    async downsamplePoints(keepIds, dropIds) {
+        for (let i = 0; i < dropIds.length; i += 1000) {
+            await LocationTracking.deleteMany({ _id: { $in: dropIds.slice(i, i + 1000) } });
+        }
+        for (let i = 0; i < keepIds.length; i += 1000) {
+            await LocationTracking.updateMany(
+                { _id: { $in: keepIds.slice(i, i + 1000) } },
+                { $set: { downsampled: true } }
+            );
+        }
+    }
+
+    // Delete points stored before the cutoff, raw or coarse
+    async deletePointsBefore(cutoff, downsampled) {
+        const result = await LocationTracking.deleteMany({
+            createdAt: { $lt: cutoff },
+            downsampled: downsampled ? true : { $ne: true }
+        });
+        return result.deletedCount;
+    }
+
+    // Sessions that ended before the cutoff: recorded ones by their end,
+    // imported ones by when they were imported, and ones still marked active
+    // by their last activity, in case a crash left them open
+    expiredSessionsFilter(cutoff) {
+        const recorded = { isActive: false, imported: { $exists: false } };
+        return {
+            $or: [
+                { ...recorded, disconnectionTime: { $lt: cutoff } },
+                { ...recorded, disconnectionTime: { $exists: false }, connectionTime: { $lt: cutoff } },
+                { imported: { $exists: true }, createdAt: { $lt: cutoff } },
+                { isActive: true, lastActivity: { $lt: cutoff } },
+                { isActive: true, lastActivity: { $exists: false }, connectionTime: { $lt: cutoff } }
+            ]
+        };
+    }
+
+    // Delete sessions that ended before the cutoff, with everything recorded
+    // for them except their analytics, which expire on their own
+    async deleteSessionsEndedBefore(cutoff) {
+        let deleted = 0;
+
+        while (true) {
+            const sessionIds = (await UserSession.find(this.expiredSessionsFilter(cutoff), { sessionId: 1 })
+                .limit(500)
+                .lean()).map(session => session.sessionId);
+            if (sessionIds.length === 0) break;
+
+            const inSessions = { sessionId: { $in: sessionIds } };
+            await Promise.all([
+                LocationTracking.deleteMany(inSessions),
+                TripSegment.deleteMany(inSessions),
+                GeofenceEvent.deleteMany(inSessions),
+                ShareLink.deleteMany(inSessions)
+            ]);
+            const result = await UserSession.deleteMany(inSessions);
+            deleted += result.deletedCount;
+        }
+
+        return deleted;
+    }
+
+    // Delete session summaries last updated before the cutoff
+    async deleteAnalyticsBefore(cutoff) {
+        const result = await UserAnalytics.deleteMany({ updatedAt: { $lt: cutoff } });
+        return result.deletedCount;
+    }
+
+    // How many documents each retention rule would remove now; a missing
+    // cutoff means that data is kept forever
+    async countExpiring({ rawPoints, coarsePoints, sessions, analytics }) {
+        const count = (cutoff, query) => (cutoff ? query() : Promise.resolve(null));
+
+        const [raw, coarse, sessionCount, analyticsCount] = await Promise.all([
+            count(rawPoints, () => LocationTracking.countDocuments({ createdAt: { $lt: rawPoints }, downsampled: { $ne: true } })),
+            count(coarsePoints, () => LocationTracking.countDocuments({ createdAt: { $lt: coarsePoints }, downsampled: true })),
+            count(sessions, () => UserSession.countDocuments(this.expiredSessionsFilter(sessions))),
+            count(analytics, () => UserAnalytics.countDocuments({ updatedAt: { $lt: analytics } }))
+        ]);
+
+        return { rawPoints: raw, coarsePoints: coarse, sessions: sessionCount, analytics: analyticsCount };
+    }
+
+    // Sessions of a device, or the given sessions, oldest first
+    async getSubjectSessions({ deviceId, sessionIds }) {
+        const filter = deviceId ? { deviceId } : { sessionId: { $in: sessionIds } };
+        return UserSession.find(filter).sort({ connectionTime: 1 }).lean();
+    }
+
+    // The visits recorded by the page tracker (api/track.js) share the database
+    visitsCollection() {
+        return mongoose.connection.db.collection('user_visits');
+    }
+
+    // Everything stored about a data subject except the points, which are read
+    // session by session through getSessionLocationCursor
+    async getSubjectRecords({ sessionIds, deviceId, visits: visitFilter }) {
+        const inSessions = { sessionId: { $in: sessionIds } };
+
+        const [analytics, tripSegments, geofenceEvents, shareLinks, geofences, visits] = await Promise.all([
+            UserAnalytics.find(inSessions).lean(),
+            TripSegment.find(inSessions).sort({ sessionId: 1, startTime: 1 }).lean(),
+            GeofenceEvent.find(inSessions).sort({ timestamp: 1 }).lean(),
+            ShareLink.find(inSessions).lean(),
+            deviceId ? Geofence.find({ deviceId }).lean() : [],
+            visitFilter ? this.visitsCollection().find(visitFilter).toArray() : []
+        ]);
+
+        return { analytics, tripSegments, geofenceEvents, shareLinks, geofences, visits };
+    }
+
+    // Delete everything stored about a data subject; returns how many records
+    // of each kind were deleted
+    async eraseSubject({ sessionIds, deviceId, visits: visitFilter }) {
+        const inSessions = { sessionId: { $in: sessionIds } };
+
+        const [locations, tripSegments, geofenceEvents, shareLinks, analytics, geofences, visits] = await Promise.all([
+            LocationTracking.deleteMany(inSessions),
+            TripSegment.deleteMany(inSessions),
+            GeofenceEvent.deleteMany(inSessions),
+            ShareLink.deleteMany(inSessions),
+            UserAnalytics.deleteMany(inSessions),
+            deviceId ? Geofence.deleteMany({ deviceId }) : null,
+            visitFilter ? this.visitsCollection().deleteMany(visitFilter) : null
+        ]);
+        // Sessions last, so a failure above leaves them to find and erase again
+        const sessions = await UserSession.deleteMany(inSessions);
+
+        const count = result => (result ? result.deletedCount : 0);
+        return {
+            sessions: count(sessions),
+            locations: count(locations),
+            analytics: count(analytics),
+            tripSegments: count(tripSegments),
+            geofenceEvents: count(geofenceEvents),
+            shareLinks: count(shareLinks),
+            geofences: count(geofences),
+            visits: count(visits)
+        };
+    }
+
+    async logPrivacyAudit(entry) {
+        await PrivacyAudit.create(entry);
+    }
+
     // Get database statistics
     async getDatabaseStats() {
         try {
@@ -0,0 +1,127 @@
+const GeohashCache = require('./GeohashCache');
+const OpenWeatherMapProvider = require('./providers/OpenWeatherMapProvider');
+const OpenMeteoProvider = require('./providers/OpenMeteoProvider');
+const FixtureProvider = require('./providers/FixtureProvider');
+const MockProvider = require('./providers/MockProvider');
+const { computeAqi } = require('../utils/aqi');
+
+// Providers that can be named in ENV_PROVIDERS
+const PROVIDERS = {
+    'openweathermap': () => new OpenWeatherMapProvider(),
+    'open-meteo': () => new OpenMeteoProvider(),
+    'fixture': () => new FixtureProvider(),
+    'mock': () => new MockProvider()
+};
+
+// Open-Meteo is a third party the app would send positions to without any
+// setup, so it is only asked when ENV_PROVIDERS names it
+const DEFAULT_PROVIDER_ORDER = 'openweathermap,mock';
+
+// Environmental data from an ordered list of providers. Every capability
+// (weather, air quality, UV) is asked of each provider in turn until one answers.
+class EnvironmentalService {
+    constructor() {
+        this.providers = this.createProviders(process.env.ENV_PROVIDERS || DEFAULT_PROVIDER_ORDER);
+
+        // Nearby devices share lookups for the same geohash cell and time bucket
+        this.cache = new GeohashCache({
+            ttlSeconds: parseInt(process.env.ENV_CACHE_TTL_SECONDS, 10) || 600,
+            precision: parseInt(process.env.ENV_CACHE_GEOHASH_PRECISION, 10) || 6,
+            maxEntries: parseInt(process.env.ENV_CACHE_MAX_ENTRIES, 10) || 5000
+        });
+        setInterval(() => this.cache.pruneExpired(), 60 * 1000).unref();
+    }
+
+    createProviders(order) {
+        const providers = order
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => {
+                if (!PROVIDERS[name]) {
+                    console.warn(`⚠️ Unknown environmental provider "${name}" ignored`);
+                    return false;
+                }
+                return true;
+            })
+            .map(name => PROVIDERS[name]());
+
+        // Always end with the mock provider so every lookup gets an answer
+        if (!providers.some(provider => provider.name === 'mock')) {
+            providers.push(new MockProvider());
+        }
+
+        providers.forEach(provider => {
+            if (provider.validateApiKey) {
+                provider.validateApiKey();
+            }
+        });
+        console.log('🌦️ Environmental providers:', providers.map(provider => provider.name).join(' → '));
+
+        return providers;
+    }
+
+    getProviderNames() {
+        return this.providers.map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            ...(provider.scenario && { scenario: provider.scenario })
+        }));
+    }
+
+    // Ask each configured provider in order until one returns data
+    async fromFirstProvider(capability, lat, lng) {
+        for (const provider of this.providers) {
+            if (!provider.isConfigured()) continue;
+
+            try {
+                const data = await provider[capability](lat, lng);
+                if (data !== null && data !== undefined) {
+                    return { data, source: provider.name };
+                }
+            } catch (error) {
+                console.error(`❌ ${provider.name} ${capability} failed, trying next provider:`, error.message);
+            }
+        }
+
+        return { data: null, source: null };
+    }
+
+    async getEnvironmentalData(lat, lng) {
+        return this.cache.get(lat, lng, () => this.fetchEnvironmentalData(lat, lng));
+    }
+
+    async fetchEnvironmentalData(lat, lng) {
+        const [weather, airQuality, uvIndex] = await Promise.all([
+            this.fromFirstProvider('getWeather', lat, lng),
+            this.fromFirstProvider('getAirQuality', lat, lng),
+            this.fromFirstProvider('getUvIndex', lat, lng)
+        ]);
+
+        // Providers report pollutant concentrations; the index is computed here
+        // so every source is graded on the same scale
+        const pollutants = airQuality.data || {};
+        const aqi = computeAqi(pollutants);
+
+        return {
+            ...weather.data,
+            airQuality: aqi?.category,
+            aqi: aqi?.aqi,
+            dominantPollutant: aqi?.dominantPollutant,
+            pollutants: {
+                pm25: pollutants.pm25,
+                pm10: pollutants.pm10,
+                o3: pollutants.o3,
+                no2: pollutants.no2
+            },
+            uvIndex: uvIndex.data,
+            source: {
+                weather: weather.source,
+                airQuality: airQuality.source,
+                uvIndex: uvIndex.source
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new EnvironmentalService();
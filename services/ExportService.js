@@ -0,0 +1,113 @@
+const DatabaseService = require('./DatabaseService');
+const PrivacyService = require('./PrivacyService');
+const { EXPORT_FORMATS } = require('../utils/exportFormats');
+const { MAX_TOLERANCE_METERS, simplifyMask } = require('../utils/simplify');
+
+// Output is handed on in chunks of about this size rather than per point
+const CHUNK_SIZE = 64 * 1024;
+
+// Error carrying the HTTP status the API should answer with
+function exportError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Streams the points of a session in one of the export formats
+class ExportService {
+    getFormatNames() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    // Check the request before any output is sent. Only the device that
+    // recorded the session (deviceId) gets it as recorded; everyone else gets
+    // it as shared (asShared).
+    async prepareExport(sessionId, formatName, { tolerance, deviceId } = {}) {
+        const format = EXPORT_FORMATS[formatName];
+        if (!format) {
+            throw exportError(`Unknown export format, use one of: ${this.getFormatNames().join(', ')}`, 400);
+        }
+
+        const toleranceMeters = tolerance === undefined || tolerance === '' ? undefined : Number(tolerance);
+        if (toleranceMeters !== undefined && !(toleranceMeters >= 0 && toleranceMeters <= MAX_TOLERANCE_METERS)) {
+            throw exportError(`tolerance must be between 0 and ${MAX_TOLERANCE_METERS} meters`, 400);
+        }
+
+        if (!DatabaseService.isConnected) {
+            throw exportError('Database not connected', 503);
+        }
+
+        const session = await DatabaseService.getSession(sessionId);
+        if (!session) {
+            throw exportError('Session not found', 404);
+        }
+
+        return {
+            session,
+            format,
+            filename: `session-${sessionId}.${format.extension}`,
+            tolerance: toleranceMeters,
+            asShared: !session.deviceId || session.deviceId !== deviceId
+        };
+    }
+
+    // Text chunks of the export. Points are read through a cursor, one pass
+    // at a time, so memory use does not grow with the session length.
+    // A tolerance (meters) simplifies the track first. asShared leaves out the
+    // points recorded while sharing was paused and reduces the others to the
+    // precision they were shared at. Every pass reads the points stored up to
+    // the start of the export, so points arriving meanwhile do not end up in
+    // one pass only.
+    async *exportChunks(session, format, { tolerance, asShared = false } = {}) {
+        const lastId = await DatabaseService.getLastLocationId(session.sessionId);
+        const cursorOptions = { sharedOnly: asShared, lastId };
+        const keep = tolerance && lastId ? await this.simplifySession(session.sessionId, tolerance, cursorOptions) : null;
+        let buffer = '';
+
+        for (const pass of format.passes) {
+            buffer += pass.start(session);
+
+            let index = 0;
+            const records = lastId ? DatabaseService.getSessionLocationCursor(session.sessionId, undefined, cursorOptions) : [];
+            for await (const record of records) {
+                if (keep && !keep.has(String(record._id))) continue;
+
+                buffer += pass.point(this.toExportPoint(record, asShared), index++);
+                if (buffer.length >= CHUNK_SIZE) {
+                    yield buffer;
+                    buffer = '';
+                }
+            }
+
+            buffer += pass.end(session);
+        }
+
+        yield buffer;
+    }
+
+    // Point of a stored record as it is exported
+    toExportPoint(record, asShared) {
+        const point = DatabaseService.toLocationPoint(record);
+        return asShared ? PrivacyService.toSharedPoint(point, record.precision, record.sessionId) : point;
+    }
+
+    // Ids of the points of a session to keep after simplification, given the
+    // cursor options of the export. Only the coordinates are read for this.
+    async simplifySession(sessionId, tolerance, cursorOptions) {
+        const ids = [];
+        const latitudes = [];
+        const longitudes = [];
+        const projection = { sessionId: 1, coordinates: 1, precision: 1, timestamp: 1 };
+        for await (const record of DatabaseService.getSessionLocationCursor(sessionId, projection, cursorOptions)) {
+            const point = this.toExportPoint(record, cursorOptions.sharedOnly);
+            ids.push(String(record._id));
+            latitudes.push(point.latitude);
+            longitudes.push(point.longitude);
+        }
+
+        const mask = simplifyMask(latitudes, longitudes, tolerance);
+        return new Set(ids.filter((id, i) => mask[i]));
+    }
+}
+
+module.exports = new ExportService();
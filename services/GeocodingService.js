@@ -0,0 +1,84 @@
+const GeohashCache = require('./GeohashCache');
+const NominatimGeocoder = require('./geocoders/NominatimGeocoder');
+const OfflineGeocoder = require('./geocoders/OfflineGeocoder');
+
+// Backends that can be named in GEOCODER
+const GEOCODERS = {
+    'nominatim': () => new NominatimGeocoder(),
+    'offline': () => new OfflineGeocoder()
+};
+
+// Turns coordinates into a human readable address with a pluggable backend.
+// Addresses rarely change, so lookups are cached per geohash cell for a day.
+// Off unless GEOCODER names a backend, since Nominatim would be sent every
+// position devices report.
+class GeocodingService {
+    constructor() {
+        this.geocoder = this.createGeocoder(process.env.GEOCODER || 'none');
+
+        // Slow lookups are not waited for; they still fill the cache for the next point
+        this.timeoutMs = parseInt(process.env.GEOCODER_TIMEOUT_MS, 10) || 3000;
+
+        this.cache = new GeohashCache({
+            ttlSeconds: parseInt(process.env.GEOCODER_CACHE_TTL_SECONDS, 10) || 24 * 60 * 60,
+            precision: parseInt(process.env.GEOCODER_CACHE_GEOHASH_PRECISION, 10) || 7,
+            maxEntries: parseInt(process.env.GEOCODER_CACHE_MAX_ENTRIES, 10) || 10000
+        });
+        setInterval(() => this.cache.pruneExpired(), 10 * 60 * 1000).unref();
+    }
+
+    createGeocoder(name) {
+        const key = name.trim().toLowerCase();
+        if (key === 'none') {
+            console.log('🗺️ Reverse geocoding disabled');
+            return null;
+        }
+
+        if (!GEOCODERS[key]) {
+            console.warn(`⚠️ Unknown geocoder "${name}", reverse geocoding disabled`);
+            return null;
+        }
+
+        const geocoder = GEOCODERS[key]();
+        console.log('🗺️ Reverse geocoder:', geocoder.name);
+        return geocoder;
+    }
+
+    isEnabled() {
+        return this.geocoder !== null;
+    }
+
+    // Address of a coordinate, or null when it is unknown or took too long
+    async reverseGeocode(lat, lng) {
+        if (!this.geocoder) {
+            return null;
+        }
+
+        const lookup = this.cache
+            .get(lat, lng, () => this.geocoder.reverse(lat, lng))
+            .catch(error => {
+                console.error(`❌ ${this.geocoder.name} reverse geocoding failed:`, error.message);
+                return null;
+            });
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), this.timeoutMs);
+        });
+
+        try {
+            return await Promise.race([lookup, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    getStats() {
+        return {
+            geocoder: this.geocoder?.name || 'none',
+            cache: this.cache.getStats()
+        };
+    }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,186 @@
+const DatabaseService = require('./DatabaseService');
+const { haversineDistance, pointInPolygon } = require('../utils/geo');
+
+const DEFAULT_DWELL_SECONDS = 300;
+const MAX_RADIUS_METERS = 100000;
+const MAX_POLYGON_VERTICES = 200;
+
+// Error carrying the HTTP status the API should answer with
+function geofenceError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isLatitude(value) {
+    return Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+    return Number.isFinite(value) && value >= -180 && value <= 180;
+}
+
+class GeofenceService {
+    constructor() {
+        // fenceId -> fence
+        this.fences = new Map();
+
+        // `${trackerKey}:${fenceId}` -> { enteredAt, dwellReported } while a tracker is inside a fence
+        this.insideState = new Map();
+    }
+
+    // Load active fences from the database into memory
+    async loadGeofences() {
+        const fences = await DatabaseService.getActiveGeofences();
+        fences.forEach(fence => this.fences.set(fence.fenceId, fence));
+        console.log(`🚧 Loaded ${fences.length} geofence(s)`);
+    }
+
+    // Validate API input and build a fence document
+    buildGeofence(input, groupId) {
+        const name = typeof input?.name === 'string' ? input.name.trim().substring(0, 60) : '';
+        if (!name) {
+            throw geofenceError('Geofence name is required');
+        }
+
+        const fence = {
+            fenceId: `fence_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name,
+            type: input.type,
+            groupId: groupId || 'public',
+            dwellSeconds: Math.max(parseInt(input.dwellSeconds, 10) || DEFAULT_DWELL_SECONDS, 1),
+            isActive: true,
+            createdAt: new Date()
+        };
+
+        if (input.deviceId) {
+            fence.deviceId = input.deviceId;
+        }
+
+        if (input.type === 'circle') {
+            const latitude = Number(input.center?.latitude);
+            const longitude = Number(input.center?.longitude);
+            const radius = Number(input.radius);
+
+            if (!isLatitude(latitude) || !isLongitude(longitude)) {
+                throw geofenceError('Circle center must be a valid latitude/longitude');
+            }
+            if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+                throw geofenceError(`Circle radius must be between 0 and ${MAX_RADIUS_METERS} meters`);
+            }
+
+            fence.center = { latitude, longitude };
+            fence.radius = radius;
+        } else if (input.type === 'polygon') {
+            const polygon = Array.isArray(input.polygon)
+                ? input.polygon.map(vertex => [Number(vertex?.[0]), Number(vertex?.[1])])
+                : [];
+
+            if (polygon.length < 3 || polygon.length > MAX_POLYGON_VERTICES) {
+                throw geofenceError(`Polygon needs between 3 and ${MAX_POLYGON_VERTICES} vertices`);
+            }
+            if (!polygon.every(([lat, lng]) => isLatitude(lat) && isLongitude(lng))) {
+                throw geofenceError('Polygon vertices must be [latitude, longitude] pairs');
+            }
+
+            fence.polygon = polygon;
+        } else {
+            throw geofenceError('Geofence type must be "circle" or "polygon"');
+        }
+
+        return fence;
+    }
+
+    async createGeofence(input, groupId) {
+        const fence = this.buildGeofence(input, groupId);
+
+        this.fences.set(fence.fenceId, fence);
+        await DatabaseService.createGeofence(fence);
+        console.log(`🚧 Geofence created: ${fence.name} (${fence.type}) in group ${fence.groupId}`);
+
+        return fence;
+    }
+
+    async deleteGeofence(fenceId) {
+        const fence = this.fences.get(fenceId);
+        if (!fence) return null;
+
+        this.fences.delete(fenceId);
+        for (const key of this.insideState.keys()) {
+            if (key.endsWith(`:${fenceId}`)) {
+                this.insideState.delete(key);
+            }
+        }
+
+        await DatabaseService.deactivateGeofence(fenceId);
+        console.log(`🚧 Geofence deleted: ${fence.name}`);
+
+        return fence;
+    }
+
+    getGeofence(fenceId) {
+        return this.fences.get(fenceId) || null;
+    }
+
+    // Personal fences of a device, in any group
+    getPersonalFences(deviceId) {
+        return Array.from(this.fences.values()).filter(fence => fence.deviceId === deviceId);
+    }
+
+    // Fences that apply to a device in a group: group-wide ones plus its personal ones
+    getFencesFor(groupId, deviceId) {
+        return Array.from(this.fences.values()).filter(fence =>
+            fence.groupId === groupId && (!fence.deviceId || fence.deviceId === deviceId)
+        );
+    }
+
+    // Fence as sent to clients; the owning device token is never exposed
+    toPublic(fence) {
+        const { deviceId, _id, __v, ...publicFence } = fence;
+        return { ...publicFence, personal: Boolean(deviceId) };
+    }
+
+    contains(fence, latitude, longitude) {
+        if (fence.type === 'circle') {
+            return haversineDistance(fence.center.latitude, fence.center.longitude, latitude, longitude) <= fence.radius;
+        }
+        return pointInPolygon(latitude, longitude, fence.polygon);
+    }
+
+    // Compare a new position with the tracker's previous state and return the
+    // enter/exit/dwell events it caused
+    evaluate(tracker, latitude, longitude, timestamp = new Date()) {
+        const events = [];
+
+        for (const fence of this.getFencesFor(tracker.groupId, tracker.deviceId)) {
+            const key = `${tracker.key}:${fence.fenceId}`;
+            const state = this.insideState.get(key);
+            const inside = this.contains(fence, latitude, longitude);
+
+            if (inside && !state) {
+                this.insideState.set(key, { enteredAt: timestamp, dwellReported: false });
+                events.push({ fence, event: 'enter' });
+            } else if (!inside && state) {
+                this.insideState.delete(key);
+                events.push({ fence, event: 'exit' });
+            } else if (inside && !state.dwellReported &&
+                       timestamp - state.enteredAt >= fence.dwellSeconds * 1000) {
+                state.dwellReported = true;
+                events.push({ fence, event: 'dwell' });
+            }
+        }
+
+        return events;
+    }
+
+    // Forget whether a tracker is inside any fence
+    clearState(trackerKey) {
+        for (const key of this.insideState.keys()) {
+            if (key.startsWith(`${trackerKey}:`)) {
+                this.insideState.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new GeofenceService();
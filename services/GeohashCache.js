@@ -0,0 +1,99 @@
+const { encodeGeohash } = require('../utils/geohash');
+
+// Cache of lookups keyed by geohash cell and time bucket, so devices close to
+// each other share one call to an external API
+class GeohashCache {
+    constructor(options = {}) {
+        this.ttlMs = (options.ttlSeconds || 600) * 1000;
+        this.precision = options.precision || 6;
+        this.maxEntries = options.maxEntries || 5000;
+
+        // key -> { value, expiresAt }
+        this.entries = new Map();
+
+        // key -> promise of a lookup that is still running
+        this.inFlight = new Map();
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            coalesced: 0,
+            evictions: 0
+        };
+    }
+
+    // Cell and time bucket a lookup falls into
+    keyFor(latitude, longitude, now = Date.now()) {
+        const cell = encodeGeohash(latitude, longitude, this.precision);
+        const bucket = Math.floor(now / this.ttlMs);
+        return `${cell}:${bucket}`;
+    }
+
+    // Return the cached value for the coordinate, or run the loader once for
+    // all concurrent callers in the same cell
+    async get(latitude, longitude, loader) {
+        const now = Date.now();
+        const key = this.keyFor(latitude, longitude, now);
+
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > now) {
+            this.stats.hits++;
+            return entry.value;
+        }
+
+        const pending = this.inFlight.get(key);
+        if (pending) {
+            this.stats.coalesced++;
+            return pending;
+        }
+
+        this.stats.misses++;
+        const lookup = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(key, value, now);
+                return value;
+            })
+            .finally(() => {
+                this.inFlight.delete(key);
+            });
+
+        this.inFlight.set(key, lookup);
+        return lookup;
+    }
+
+    set(key, value, now) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: now + this.ttlMs });
+
+        // Maps iterate in insertion order, so the first keys are the oldest
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    pruneExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+
+        return {
+            ...this.stats,
+            hitRate: lookups ? Number(((this.stats.hits + this.stats.coalesced) / lookups).toFixed(3)) : 0,
+            size: this.entries.size,
+            inFlight: this.inFlight.size,
+            ttlSeconds: this.ttlMs / 1000,
+            precision: this.precision
+        };
+    }
+}
+
+module.exports = GeohashCache;
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+
+// Sockets that have not joined a group share this one, so a single-team
+// deployment keeps working without anyone handing out invite codes
+const DEFAULT_GROUP_ID = 'public';
+
+class GroupService {
+    constructor() {
+        this.defaultGroupId = DEFAULT_GROUP_ID;
+
+        // groupId -> group, inviteCode -> groupId
+        this.groups = new Map();
+        this.inviteCodes = new Map();
+    }
+
+    // Socket.io room name for a group
+    roomFor(groupId) {
+        return `group:${groupId || this.defaultGroupId}`;
+    }
+
+    isDefaultGroup(groupId) {
+        return !groupId || groupId === this.defaultGroupId;
+    }
+
+    // 64 random bits, far too many to guess through the join-group rate limit
+    generateInviteCode() {
+        let inviteCode;
+        do {
+            inviteCode = crypto.randomBytes(8).toString('hex').toUpperCase();
+        } while (this.inviteCodes.has(inviteCode));
+        return inviteCode;
+    }
+
+    normalizeInviteCode(inviteCode) {
+        return typeof inviteCode === 'string' ? inviteCode.trim().toUpperCase() : '';
+    }
+
+    cacheGroup(group) {
+        this.groups.set(group.groupId, group);
+        this.inviteCodes.set(group.inviteCode, group.groupId);
+        return group;
+    }
+
+    // Create a new named group and return it with its invite code
+    async createGroup(name) {
+        const trimmedName = typeof name === 'string' ? name.trim().substring(0, 60) : '';
+        if (!trimmedName) {
+            throw new Error('Group name is required');
+        }
+
+        const group = this.cacheGroup({
+            groupId: `group_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: trimmedName,
+            inviteCode: this.generateInviteCode(),
+            createdAt: new Date()
+        });
+
+        await DatabaseService.createTrackingGroup(group);
+        console.log(`👥 Tracking group created: ${group.name} (${group.groupId})`);
+
+        return group;
+    }
+
+    // Look a group up by invite code, falling back to the database when the
+    // group was created before this process started
+    async findByInviteCode(inviteCode) {
+        const code = this.normalizeInviteCode(inviteCode);
+        if (!code) return null;
+
+        const groupId = this.inviteCodes.get(code);
+        if (groupId) {
+            return this.groups.get(groupId);
+        }
+
+        const stored = await DatabaseService.findTrackingGroupByInviteCode(code);
+        if (!stored) return null;
+
+        return this.cacheGroup({
+            groupId: stored.groupId,
+            name: stored.name,
+            inviteCode: stored.inviteCode,
+            createdAt: stored.createdAt
+        });
+    }
+
+    getGroup(groupId) {
+        return this.groups.get(groupId) || null;
+    }
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const DatabaseService = require('./DatabaseService');
+const { MAX_TOLERANCE_METERS, simplifyPoints } = require('../utils/simplify');
+const PrivacyService = require('./PrivacyService');
+const { EARTH_RADIUS_METERS, toRad } = require('../utils/geo');
+
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 5000;
+
+// Heatmap cells are an eighth of a map tile, about 32 pixels on screen
+const CELLS_PER_TILE = 8;
+const DEFAULT_HEATMAP_ZOOM = 12;
+const MAX_HEATMAP_CELLS = 5000;
+
+// Cells are sized in degrees, which span fewer meters of longitude away from
+// the equator; beyond this latitude they are sized as if at it
+const MAX_CELL_LATITUDE = 80;
+
+// Error carrying the HTTP status the API should answer with
+function historyError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Accepts epoch milliseconds or a date string
+function parseTime(value, name) {
+    if (value === undefined || value === '') return undefined;
+
+    const time = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw historyError(`${name} must be epoch milliseconds or a date string`, 400);
+    }
+    return time;
+}
+
+// Simplification tolerance in meters; none means every point
+function parseTolerance(value) {
+    if (value === undefined || value === '') return undefined;
+
+    const tolerance = Number(value);
+    if (!(tolerance >= 0 && tolerance <= MAX_TOLERANCE_METERS)) {
+        throw historyError(`tolerance must be between 0 and ${MAX_TOLERANCE_METERS} meters`, 400);
+    }
+    return tolerance;
+}
+
+// Bounding box as "minLng,minLat,maxLng,maxLat", the order of GeoJSON and
+// of Leaflet's toBBoxString()
+function parseBbox(value) {
+    const bbox = String(value || '').split(',').map(Number);
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    const valid = bbox.length === 4 &&
+        bbox.every(Number.isFinite) &&
+        minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+        minLng < maxLng && minLat < maxLat;
+    if (!valid) {
+        throw historyError('bbox must be minLng,minLat,maxLng,maxLat with min below max', 400);
+    }
+    return bbox;
+}
+
+// Average readings are returned with one decimal, or null when no point had one
+function roundAverage(value) {
+    return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+// Polygon around a bounding box for $geoWithin. Polygon edges are great
+// circles, so the edges along a latitude get a vertex every degree; the big
+// polygon CRS allows boxes larger than a hemisphere. The poles and a full
+// turn of longitude are just left out, as they would make the ring degenerate.
+function boxPolygon([minLng, minLat, maxLng, maxLat]) {
+    const south = Math.max(minLat, -89.99);
+    const north = Math.min(maxLat, 89.99);
+    const east = Math.min(maxLng, minLng + 359.99);
+    const steps = Math.ceil(east - minLng);
+
+    const ring = [];
+    for (let i = 0; i <= steps; i++) {
+        ring.push([minLng + (east - minLng) * i / steps, south]);
+    }
+    for (let i = steps; i >= 0; i--) {
+        ring.push([minLng + (east - minLng) * i / steps, north]);
+    }
+    ring.push(ring[0]);
+
+    return {
+        type: 'Polygon',
+        coordinates: [ring],
+        crs: { type: 'name', properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' } }
+    };
+}
+
+// Page cursors are opaque to clients: "<timestamp ms>:<record id>" in base64url
+function encodeCursor(last) {
+    return Buffer.from(`${last.timestamp.getTime()}:${last.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+    if (!/^\d+$/.test(timestamp || '') || !mongoose.isValidObjectId(id)) {
+        throw historyError('Invalid cursor', 400);
+    }
+    return { timestamp: new Date(Number(timestamp)), id: new mongoose.Types.ObjectId(id) };
+}
+
+// Access to recorded points, page by page per session or by area
+class HistoryService {
+    // query: { from, to, limit, cursor, tolerance } as given in the URL, plus
+    // the deviceId of the caller. Only the device that recorded the session
+    // gets it as recorded; everyone else gets the points it shared, at the
+    // precision it shared them at.
+    // With a tolerance every page is simplified on its own, keeping its first
+    // and last point, so pages still join up.
+    async getPoints(sessionId, query = {}) {
+        const from = parseTime(query.from, 'from');
+        const to = parseTime(query.to, 'to');
+        if (from && to && from > to) {
+            throw historyError('from must not be after to', 400);
+        }
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const after = query.cursor ? decodeCursor(query.cursor) : undefined;
+        const tolerance = parseTolerance(query.tolerance);
+
+        if (!DatabaseService.isConnected) {
+            throw historyError('Database not connected', 503);
+        }
+
+        const session = await DatabaseService.getSession(sessionId);
+        if (!session) {
+            throw historyError('Session not found', 404);
+        }
+
+        const isOwner = Boolean(session.deviceId) && session.deviceId === query.deviceId;
+        const page = await DatabaseService.getSessionPointsPage(sessionId, { from, to, after, limit, sharedOnly: !isOwner });
+        const points = page.points.map(({ precision, ...point }) =>
+            isOwner ? point : PrivacyService.toSharedPoint(point, precision, sessionId));
+        const { last } = page;
+
+        return {
+            sessionId,
+            points: tolerance ? simplifyPoints(points, tolerance) : points,
+            // A full page may have more behind it; a short page is the last one
+            nextCursor: points.length === limit && last ? encodeCursor(last) : null
+        };
+    }
+
+    // Points a group recorded inside a bounding box, newest first, at the
+    // precision each device shared them at.
+    // query: { bbox, from, to, sessionId, limit } as given in the URL, plus
+    // the groupId to look in
+    async getPointsInArea(query = {}) {
+        const bbox = parseBbox(query.bbox);
+        const from = parseTime(query.from, 'from');
+        const to = parseTime(query.to, 'to');
+        if (from && to && from > to) {
+            throw historyError('from must not be after to', 400);
+        }
+
+        const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (!DatabaseService.isConnected) {
+            throw historyError('Database not connected', 503);
+        }
+
+        const records = await DatabaseService.getPointsWithin(boxPolygon(bbox), {
+            groupId: query.groupId,
+            from,
+            to,
+            sessionId: query.sessionId,
+            limit
+        });
+
+        // Session ids would open the whole track to the caller
+        const shared = records.map(({ sessionId, precision, ...point }) =>
+            PrivacyService.toSharedPoint(point, precision, sessionId));
+
+        // The polygon is a close fit; the box itself is exact
+        const [minLng, minLat, maxLng, maxLat] = bbox;
+        const points = shared.filter(point =>
+            point.longitude >= minLng && point.longitude <= maxLng &&
+            point.latitude >= minLat && point.latitude <= maxLat);
+
+        return {
+            bbox,
+            points: points.slice(0, limit),
+            truncated: records.length > limit
+        };
+    }
+
+    // Point counts and average environmental readings per grid cell, for a
+    // heatmap at a map zoom level (0-20); the busiest cells come first.
+    // query: { zoom, bbox, from, to, sessionId } as given in the URL, plus the
+    // groupId whose shared points to count or the deviceId whose sessions to
+    // restrict to. Group heatmaps use a lower zoom where cells would be smaller
+    // than the precision a point was shared at, as they would place it closer.
+    async getHeatmap(query = {}) {
+        let zoom = query.zoom === undefined || query.zoom === '' ? DEFAULT_HEATMAP_ZOOM : Number(query.zoom);
+        if (!Number.isInteger(zoom) || zoom < 0 || zoom > 20) {
+            throw historyError('zoom must be a whole number from 0 to 20', 400);
+        }
+
+        const bbox = query.bbox ? parseBbox(query.bbox) : undefined;
+        const from = parseTime(query.from, 'from');
+        const to = parseTime(query.to, 'to');
+        if (from && to && from > to) {
+            throw historyError('from must not be after to', 400);
+        }
+
+        if (!DatabaseService.isConnected) {
+            throw historyError('Database not connected', 503);
+        }
+
+        const filter = {
+            polygon: bbox ? boxPolygon(bbox) : undefined,
+            from,
+            to,
+            sessionId: query.sessionId,
+            groupId: query.groupId,
+            deviceId: query.deviceId
+        };
+
+        if (!query.deviceId) {
+            const precisionMeters = await DatabaseService.getCoarsestPrecision(filter);
+            const latitude = bbox ? Math.min(Math.max(Math.abs(bbox[1]), Math.abs(bbox[3])), MAX_CELL_LATITUDE) : MAX_CELL_LATITUDE;
+            const minCellDegrees = precisionMeters / (EARTH_RADIUS_METERS * Math.PI / 180) / Math.cos(toRad(latitude));
+            while (zoom > 0 && 360 / Math.pow(2, zoom) / CELLS_PER_TILE < minCellDegrees) {
+                zoom--;
+            }
+        }
+
+        const cellDegrees = 360 / Math.pow(2, zoom) / CELLS_PER_TILE;
+        const records = await DatabaseService.getDensityCells({ ...filter, cellDegrees, limit: MAX_HEATMAP_CELLS });
+
+        const cells = records.slice(0, MAX_HEATMAP_CELLS).map(record => ({
+            // South-west corner of the cell
+            latitude: record.y * cellDegrees,
+            longitude: record.x * cellDegrees,
+            count: record.count,
+            sessions: record.sessions,
+            environmental: {
+                temperature: roundAverage(record.temperature),
+                humidity: roundAverage(record.humidity),
+                aqi: roundAverage(record.aqi),
+                pm25: roundAverage(record.pm25),
+                uvIndex: roundAverage(record.uvIndex)
+            }
+        }));
+
+        return {
+            zoom,
+            cellSize: cellDegrees, // degrees of latitude and longitude
+            maxCount: cells.length > 0 ? cells[0].count : 0,
+            cells,
+            truncated: records.length > MAX_HEATMAP_CELLS
+        };
+    }
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const GeocodingService = require('./GeocodingService');
+const TripService = require('./TripService');
+const { PARSERS, detectFormat } = require('../utils/trackImport');
+
+// Error carrying the HTTP status the API should answer with
+function importError(message, status, errors) {
+    const error = new Error(message);
+    error.status = status;
+    error.errors = errors;
+    return error;
+}
+
+// Turns uploaded GPX and GeoJSON files into sessions like the live ones
+class ImportService {
+    getFormatNames() {
+        return Object.keys(PARSERS);
+    }
+
+    // Format named by the request, or guessed from the file content
+    resolveFormat(requested, text) {
+        const format = requested ? String(requested).toLowerCase() : detectFormat(text);
+        if (!PARSERS[format]) {
+            throw importError(`Unknown track format, use one of: ${this.getFormatNames().join(', ')}`, 400);
+        }
+        return format;
+    }
+
+    // Parse a track file and store it as a finished session. Files with any
+    // error are rejected as a whole with the list of problems.
+    async importTrack(text, { format: requestedFormat, fileName, deviceId, userAgent } = {}) {
+        if (typeof text !== 'string' || !text.trim()) {
+            throw importError('Upload the track file as the request body', 400);
+        }
+
+        const format = this.resolveFormat(requestedFormat, text);
+        const { name, points, errors } = PARSERS[format](text);
+        if (errors.length > 0) {
+            throw importError('Track file has errors', 422, errors);
+        }
+
+        if (!DatabaseService.isConnected) {
+            throw importError('Database not connected', 503);
+        }
+
+        const sessionId = `import_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+        const [start, end] = await Promise.all([
+            GeocodingService.reverseGeocode(points[0].latitude, points[0].longitude),
+            GeocodingService.reverseGeocode(points[points.length - 1].latitude, points[points.length - 1].longitude)
+        ]);
+
+        const analytics = await DatabaseService.createImportedSession({
+            sessionId,
+            socketId: 'import',
+            deviceId,
+            userAgent,
+            deviceInfo: DatabaseService.parseUserAgent(userAgent || ''),
+            imported: {
+                format,
+                fileName,
+                name: name || fileName,
+                importedAt: new Date()
+            }
+        }, points, { start, end });
+
+        await TripService.segmentSession(sessionId);
+
+        return {
+            sessionId,
+            format,
+            name: name || fileName || null,
+            pointCount: points.length,
+            startTime: new Date(points[0].timestamp),
+            endTime: new Date(points[points.length - 1].timestamp),
+            analytics
+        };
+    }
+}
+
+module.exports = new ImportService();
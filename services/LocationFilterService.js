@@ -0,0 +1,57 @@
+const { DEFAULT_FILTER_OPTIONS, createFilterState, filterFix } = require('../utils/locationFilter');
+
+// Filters of tracks nobody reported on for this long are forgotten
+const STATE_IDLE_MS = 30 * 60 * 1000;
+
+// Noise filtering of live location fixes, one filter per track
+class LocationFilterService {
+    constructor(options = DEFAULT_FILTER_OPTIONS) {
+        this.options = options;
+
+        // track key (session id, or socket id without a database) -> { filter, updatedAt }
+        this.tracks = new Map();
+
+        this.accepted = 0;
+        this.rejected = {};
+
+        this.cleanupInterval = setInterval(() => this.pruneIdleTracks(), STATE_IDLE_MS);
+        this.cleanupInterval.unref();
+    }
+
+    // Filter a fix of the given track; see filterFix for the result
+    filter(key, fix) {
+        let track = this.tracks.get(key);
+        if (!track) {
+            track = { filter: createFilterState(), updatedAt: 0 };
+            this.tracks.set(key, track);
+        }
+        track.updatedAt = Date.now();
+
+        const result = filterFix(track.filter, fix, this.options);
+        if (result.accepted) {
+            this.accepted++;
+        } else {
+            this.rejected[result.reason] = (this.rejected[result.reason] || 0) + 1;
+        }
+        return result;
+    }
+
+    pruneIdleTracks() {
+        const cutoff = Date.now() - STATE_IDLE_MS;
+        for (const [key, track] of this.tracks) {
+            if (track.updatedAt < cutoff) {
+                this.tracks.delete(key);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            activeTracks: this.tracks.size,
+            accepted: this.accepted,
+            rejected: { ...this.rejected }
+        };
+    }
+}
+
+module.exports = new LocationFilterService();
@@ -0,0 +1,109 @@
+const { haversineDistance } = require('../utils/geo');
+
+// In-memory registry of the devices currently connected to this server
+class PresenceService {
+    constructor() {
+        // socketId -> device presence
+        this.devices = new Map();
+    }
+
+    // Register a newly connected socket
+    addDevice(socketId, groupId, deviceInfo) {
+        const now = new Date();
+        const device = {
+            socketId,
+            groupId,
+            deviceInfo: deviceInfo || {},
+            location: null,
+            connectedAt: now,
+            lastSeen: now
+        };
+
+        this.devices.set(socketId, device);
+        return device;
+    }
+
+    removeDevice(socketId) {
+        const device = this.devices.get(socketId);
+        this.devices.delete(socketId);
+        return device || null;
+    }
+
+    getDevice(socketId) {
+        return this.devices.get(socketId) || null;
+    }
+
+    setGroup(socketId, groupId) {
+        const device = this.devices.get(socketId);
+        if (device) {
+            device.groupId = groupId;
+        }
+        return device || null;
+    }
+
+    // Merge client-reported device info (name, battery, ...) into the parsed user agent
+    updateDeviceInfo(socketId, deviceInfo) {
+        const device = this.devices.get(socketId);
+        if (device && deviceInfo && typeof deviceInfo === 'object') {
+            device.deviceInfo = { ...device.deviceInfo, ...deviceInfo };
+            device.lastSeen = new Date();
+        }
+        return device || null;
+    }
+
+    // Remember the last known position of a device
+    updateLocation(socketId, location) {
+        const device = this.devices.get(socketId);
+        if (device) {
+            device.location = location;
+            device.lastSeen = new Date();
+        }
+        return device || null;
+    }
+
+    // Public view of a device, safe to send to other clients
+    toPresence(device) {
+        // The raw user agent string stays on the server
+        const { userAgent, ...deviceInfo } = device.deviceInfo;
+
+        return {
+            socketId: device.socketId,
+            deviceInfo,
+            location: device.location,
+            connectedAt: device.connectedAt,
+            lastSeen: device.lastSeen
+        };
+    }
+
+    // All devices in a group, optionally leaving out the requesting socket
+    getSnapshot(groupId, excludeSocketId) {
+        const snapshot = [];
+        for (const device of this.devices.values()) {
+            if (device.groupId === groupId && device.socketId !== excludeSocketId) {
+                snapshot.push(this.toPresence(device));
+            }
+        }
+        return snapshot;
+    }
+
+    // Devices of a group whose last position is within the radius (meters)
+    // of a point, nearest first, with their distance
+    getDevicesNear(groupId, latitude, longitude, radiusMeters) {
+        const nearby = [];
+        for (const device of this.devices.values()) {
+            if (device.groupId !== groupId || !device.location) continue;
+
+            const distance = haversineDistance(latitude, longitude, device.location.latitude, device.location.longitude);
+            if (distance <= radiusMeters) {
+                nearby.push({ ...this.toPresence(device), distance: Math.round(distance) });
+            }
+        }
+        return nearby.sort((a, b) => a.distance - b.distance);
+    }
+
+    getDeviceCount() {
+        return this.devices.size;
+    }
+}
+
+module.exports = new PresenceService();
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+const GeofenceService = require('./GeofenceService');
+const { IP_MODES, PRECISION_MODES, anonymizeIp, keyedRandom, reducePrecision } = require('../utils/privacy');
+
+// Output is handed on in chunks of about this size rather than per point
+const CHUNK_SIZE = 64 * 1024;
+
+// How IP addresses are stored, see IP_MODES
+const IP_ANONYMIZATION = IP_MODES.includes(process.env.IP_ANONYMIZATION) ? process.env.IP_ANONYMIZATION : 'truncate';
+
+// Precision of the positions other devices see, unless a device picks its own
+const DEFAULT_PRECISION = PRECISION_MODES.includes(process.env.BROADCAST_PRECISION) ? process.env.BROADCAST_PRECISION : 'exact';
+const PRECISION_METERS = parseFloat(process.env.BROADCAST_PRECISION_METERS) || 500;
+
+// Error carrying the HTTP status the API should answer with
+function privacyError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Audit entries name their subject by hash only
+function hashSubject(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Export and erasure of everything stored about one device or session, and
+// how much of a device is stored and shown to others in the first place
+class PrivacyService {
+    constructor() {
+        this.ipMode = IP_ANONYMIZATION;
+
+        // Without a configured secret hashes only stay comparable until a restart
+        this.ipHashSecret = process.env.IP_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+        if (this.ipMode === 'hash' && !process.env.IP_HASH_SECRET) {
+            console.warn('⚠️ IP_HASH_SECRET not set, IP hashes change on every restart');
+        }
+
+        // Seeds the fixed jitter offset of each session; a new one after a
+        // restart moves the offsets of stored points too
+        this.jitterSecret = process.env.JITTER_SECRET || crypto.randomBytes(32).toString('hex');
+    }
+
+    // IP address as it may be stored
+    anonymizeIp(ip) {
+        return anonymizeIp(ip, this.ipMode, this.ipHashSecret);
+    }
+
+    // Sharing settings of a device from its validated choices, filling in defaults
+    getSharingSettings({ precision, sharingPaused } = {}) {
+        return {
+            precision: precision || DEFAULT_PRECISION,
+            precisionMeters: PRECISION_METERS,
+            sharingPaused: sharingPaused ?? false
+        };
+    }
+
+    // A device's location as other devices see it, or null while it does not
+    // share. Jitter keeps one offset per key, normally the session id.
+    toSharedLocation(location, settings, key) {
+        if (settings.sharingPaused) return null;
+        return reducePrecision(location, settings.precision, settings.precisionMeters, keyedRandom(this.jitterSecret, key));
+    }
+
+    // A stored point as others see it, at the precision it was shared at
+    toSharedPoint(point, precision, sessionId) {
+        return this.toSharedLocation(point, {
+            precision: precision?.mode || 'exact',
+            precisionMeters: precision?.meters
+        }, sessionId);
+    }
+
+    // Work out whose data a request covers. Sessions and page visits are
+    // stored under the hash of a device token, so every request needs that
+    // token. It covers every session and visit of the device plus its personal
+    // geofences; a sessionId narrows it to that session, a visitSessionId
+    // (the one the page tracker keeps in localStorage) to those visits.
+    async resolveSubject({ deviceId: tokenDeviceId, sessionId, visitSessionId }) {
+        if (!tokenDeviceId) {
+            throw privacyError('Give the X-Device-Token header of the device the data was recorded with', 400);
+        }
+
+        if (!DatabaseService.isConnected) {
+            throw privacyError('Database not connected', 503);
+        }
+
+        let sessions;
+        if (sessionId) {
+            const session = await DatabaseService.getSession(sessionId);
+            if (!session) {
+                throw privacyError('Session not found', 404);
+            }
+            // Sessions recorded without a token cannot be told apart from anyone else's
+            if (session.deviceId !== tokenDeviceId) {
+                throw privacyError('Not allowed to access this session', 403);
+            }
+            sessions = await DatabaseService.getSubjectSessions({ sessionIds: [sessionId] });
+        } else {
+            sessions = await DatabaseService.getSubjectSessions({ deviceId: tokenDeviceId });
+        }
+
+        // A session on its own leaves the visits out
+        let visits = null;
+        if (visitSessionId) {
+            visits = { deviceId: tokenDeviceId, sessionId: String(visitSessionId) };
+        } else if (!sessionId) {
+            visits = { deviceId: tokenDeviceId };
+        }
+
+        const deviceId = sessionId ? undefined : tokenDeviceId;
+
+        return {
+            subjectType: deviceId ? 'device' : 'session',
+            subjectHash: hashSubject(deviceId || sessionId),
+            deviceId,
+            sessionIds: sessions.map(session => session.sessionId),
+            visitSessionId: visitSessionId || undefined,
+            visits,
+            sessions
+        };
+    }
+
+    async audit(action, subject, counts) {
+        await DatabaseService.logPrivacyAudit({
+            action,
+            subjectType: subject.subjectType,
+            subjectHash: subject.subjectHash,
+            sessionCount: subject.sessionIds.length,
+            counts
+        });
+    }
+
+    // Read everything but the points and log the export; call before any
+    // output is sent, so failures still get an error response
+    async prepareExport(subject) {
+        const records = await DatabaseService.getSubjectRecords(subject);
+
+        await this.audit('export', subject, {
+            sessions: subject.sessions.length,
+            analytics: records.analytics.length,
+            tripSegments: records.tripSegments.length,
+            geofenceEvents: records.geofenceEvents.length,
+            shareLinks: records.shareLinks.length,
+            geofences: records.geofences.length,
+            visits: records.visits.length
+        });
+        console.log(`🔏 Privacy export of ${subject.subjectType} ${subject.subjectHash.slice(0, 12)}`);
+
+        return records;
+    }
+
+    // Text chunks of the archive: one JSON document with a section per kind of
+    // record. Points come last and are read through a cursor, session by
+    // session, so memory use does not grow with the history.
+    async *exportChunks(subject, records) {
+        const header = {
+            exportedAt: new Date(),
+            subject: {
+                deviceId: subject.deviceId,
+                sessionIds: subject.sessionIds,
+                visitSessionId: subject.visitSessionId
+            },
+            sessions: subject.sessions,
+            ...records
+        };
+        // Leave the object open for the locations array
+        let buffer = JSON.stringify(header, null, 2).replace(/\n}$/, ',\n  "locations": [');
+
+        let first = true;
+        for (const sessionId of subject.sessionIds) {
+            for await (const record of DatabaseService.getSessionLocationCursor(sessionId)) {
+                buffer += (first ? '\n    ' : ',\n    ') + JSON.stringify(record);
+                first = false;
+                if (buffer.length >= CHUNK_SIZE) {
+                    yield buffer;
+                    buffer = '';
+                }
+            }
+        }
+
+        yield buffer + (first ? ']\n}\n' : '\n  ]\n}\n');
+    }
+
+    // Delete everything the subject covers and log the erasure
+    async erase(subject) {
+        if (subject.deviceId) {
+            for (const fence of GeofenceService.getPersonalFences(subject.deviceId)) {
+                await GeofenceService.deleteGeofence(fence.fenceId);
+            }
+        }
+
+        const counts = await DatabaseService.eraseSubject(subject);
+        await this.audit('erase', subject, counts);
+        console.log(`🔏 Privacy erasure of ${subject.subjectType} ${subject.subjectHash.slice(0, 12)}:`, counts);
+
+        return counts;
+    }
+}
+
+module.exports = new PrivacyService();
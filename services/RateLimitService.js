@@ -0,0 +1,176 @@
+// Token bucket rate limiting of socket events, per connection and per IP address
+
+const PrivacyService = require('./PrivacyService');
+
+function limitFromEnv(name, fallback) {
+    return parseInt(process.env[name], 10) || fallback;
+}
+
+// Events per minute and burst size for every limited event
+const DEFAULT_LIMITS = {
+    locationUpdate: {
+        socket: { perMinute: limitFromEnv('RATE_LIMIT_LOCATION_PER_MINUTE', 60), burst: 10 },
+        ip: { perMinute: limitFromEnv('RATE_LIMIT_LOCATION_PER_MINUTE_IP', 600), burst: 60 }
+    },
+    'request-environmental-data': {
+        socket: { perMinute: limitFromEnv('RATE_LIMIT_ENVIRONMENTAL_PER_MINUTE', 6), burst: 3 },
+        ip: { perMinute: limitFromEnv('RATE_LIMIT_ENVIRONMENTAL_PER_MINUTE_IP', 60), burst: 10 }
+    },
+    'feature-used': {
+        socket: { perMinute: 30, burst: 10 },
+        ip: { perMinute: 300, burst: 50 }
+    },
+    'device-connected': {
+        socket: { perMinute: 10, burst: 3 },
+        ip: { perMinute: 100, burst: 20 }
+    },
+    'device-disconnected': {
+        socket: { perMinute: 10, burst: 3 },
+        ip: { perMinute: 100, burst: 20 }
+    },
+    // Every join tries an invite code, so these also slow down guessing
+    'join-group': {
+        socket: { perMinute: 6, burst: 3 },
+        ip: { perMinute: 30, burst: 10 }
+    },
+    'leave-group': {
+        socket: { perMinute: 6, burst: 3 },
+        ip: { perMinute: 60, burst: 10 }
+    },
+    'device-status': {
+        socket: { perMinute: 30, burst: 10 },
+        ip: { perMinute: 300, burst: 50 }
+    },
+    'privacy-settings': {
+        socket: { perMinute: 30, burst: 10 },
+        ip: { perMinute: 300, burst: 50 }
+    }
+};
+
+// Buckets idle for this long are full again and can be forgotten
+const BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+// Clients that have not hit a limit for this long drop out of the admin view
+const HITS_IDLE_MS = 60 * 60 * 1000;
+
+class RateLimitService {
+    constructor(limits = DEFAULT_LIMITS) {
+        this.limits = limits;
+
+        // `${scope}:${key}:${event}` -> { tokens, updatedAt }
+        this.buckets = new Map();
+
+        // `${scope}:${key}` -> { scope, key, hits, byEvent, lastHitAt }, with
+        // IP addresses anonymized like stored ones since the admin view shows them
+        this.hits = new Map();
+
+        this.cleanupInterval = setInterval(() => this.pruneIdle(), BUCKET_IDLE_MS);
+        this.cleanupInterval.unref();
+    }
+
+    // Refill a bucket for the time elapsed and return it
+    refill(bucketKey, limit, now) {
+        let bucket = this.buckets.get(bucketKey);
+
+        if (!bucket) {
+            bucket = { tokens: limit.burst, updatedAt: now };
+            this.buckets.set(bucketKey, bucket);
+        } else {
+            bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) * limit.perMinute / 60000);
+            bucket.updatedAt = now;
+        }
+
+        return bucket;
+    }
+
+    // Check an event against the socket and IP limits. A token is only taken
+    // when both allow the event, so a rejected event costs neither bucket.
+    // Returns { allowed: true } or { allowed: false, scope, retryAfterMs }.
+    consume(event, socketId, ipAddress) {
+        const eventLimits = this.limits[event];
+        if (!eventLimits) {
+            return { allowed: true };
+        }
+
+        const now = Date.now();
+        const scopes = [['socket', socketId], ['ip', ipAddress || 'unknown']];
+        const buckets = scopes.map(([scope, key]) => this.refill(`${scope}:${key}:${event}`, eventLimits[scope], now));
+
+        for (let i = 0; i < scopes.length; i++) {
+            if (buckets[i].tokens < 1) {
+                const [scope, key] = scopes[i];
+                this.recordHit(scope, scope === 'ip' ? PrivacyService.anonymizeIp(key) : key, event, now);
+                return {
+                    allowed: false,
+                    scope,
+                    retryAfterMs: Math.ceil((1 - buckets[i].tokens) / (eventLimits[scope].perMinute / 60000))
+                };
+            }
+        }
+
+        buckets.forEach(bucket => { bucket.tokens -= 1; });
+        return { allowed: true };
+    }
+
+    recordHit(scope, key, event, now) {
+        const hitKey = `${scope}:${key}`;
+        let entry = this.hits.get(hitKey);
+
+        if (!entry) {
+            entry = { scope, key, hits: 0, byEvent: {}, lastHitAt: null };
+            this.hits.set(hitKey, entry);
+        }
+
+        entry.hits += 1;
+        entry.byEvent[event] = (entry.byEvent[event] || 0) + 1;
+        entry.lastHitAt = new Date(now);
+    }
+
+    // Clients that hit the limits most often, for the admin view
+    getTopOffenders(limit = 20) {
+        return Array.from(this.hits.values())
+            .sort((a, b) => b.hits - a.hits)
+            .slice(0, limit);
+    }
+
+    getStats() {
+        let totalHits = 0;
+        for (const entry of this.hits.values()) {
+            totalHits += entry.hits;
+        }
+
+        return {
+            totalHits,
+            limitedClients: this.hits.size,
+            activeBuckets: this.buckets.size
+        };
+    }
+
+    // Drop the buckets of a socket that went away. Its hits stay until they
+    // are pruned, so reconnecting does not clear the record of a client that
+    // was limited.
+    removeSocket(socketId) {
+        const prefix = `socket:${socketId}:`;
+        for (const key of this.buckets.keys()) {
+            if (key.startsWith(prefix)) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+
+    pruneIdle() {
+        const now = Date.now();
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.updatedAt < now - BUCKET_IDLE_MS) {
+                this.buckets.delete(key);
+            }
+        }
+        for (const [key, entry] of this.hits) {
+            if (entry.lastHitAt.getTime() < now - HITS_IDLE_MS) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = new RateLimitService();
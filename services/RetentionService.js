@@ -0,0 +1,162 @@
+const DatabaseService = require('./DatabaseService');
+const { simplifyMask } = require('../utils/simplify');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days to keep, where 0 keeps forever
+function daysFromEnv(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// How long each kind of data is kept, in days
+const RETENTION_POLICY = {
+    // Points as recorded, counted from when they were stored
+    rawPoints: daysFromEnv('RETENTION_RAW_POINTS_DAYS', 30),
+    // Coarse tracks left over from downsampling expired raw points
+    coarsePoints: daysFromEnv('RETENTION_COARSE_POINTS_DAYS', 365),
+    // Finished sessions with their trips, geofence events and share links,
+    // counted from the end of the session or from when it was imported
+    sessions: daysFromEnv('RETENTION_SESSIONS_DAYS', 365),
+    // Session summaries, counted from their last update
+    analytics: daysFromEnv('RETENTION_ANALYTICS_DAYS', 365)
+};
+
+// Expired raw points are thinned to a track this close to the original
+// (meters) instead of being deleted outright; 0 deletes them
+const DOWNSAMPLE_TOLERANCE_METERS = parseFloat(process.env.RETENTION_DOWNSAMPLE_METERS ?? 25) || 0;
+
+// Expired raw points are read and thinned this many at a time
+const DOWNSAMPLE_BATCH_SIZE = 5000;
+
+const PURGE_INTERVAL_MS = (parseInt(process.env.RETENTION_PURGE_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Scheduled purge of data past its retention period
+class RetentionService {
+    constructor(policy = RETENTION_POLICY) {
+        this.policy = policy;
+        this.purgeInterval = null;
+        this.running = false;
+        this.lastRun = null;
+        this.nextRunAt = null;
+    }
+
+    // Purge now and then every PURGE_INTERVAL_MS; needs the database connected
+    start() {
+        if (this.purgeInterval) return;
+
+        this.runPurge();
+        this.nextRunAt = new Date(Date.now() + PURGE_INTERVAL_MS);
+        this.purgeInterval = setInterval(() => {
+            this.nextRunAt = new Date(Date.now() + PURGE_INTERVAL_MS);
+            this.runPurge();
+        }, PURGE_INTERVAL_MS);
+        this.purgeInterval.unref();
+    }
+
+    // Moment before which data of a kind has expired, or null if it is kept forever
+    getCutoffs(now = Date.now()) {
+        return Object.fromEntries(Object.entries(this.policy).map(([kind, days]) => [
+            kind,
+            days > 0 ? new Date(now - days * DAY_MS) : null
+        ]));
+    }
+
+    async runPurge() {
+        if (this.running || !DatabaseService.isConnected) return null;
+        this.running = true;
+
+        const startedAt = new Date();
+        const cutoffs = this.getCutoffs(startedAt.getTime());
+        const removed = { rawPoints: 0, coarsePoints: 0, sessions: 0, analytics: 0 };
+        let downsampledSessions = 0;
+
+        try {
+            if (cutoffs.rawPoints) {
+                if (DOWNSAMPLE_TOLERANCE_METERS > 0) {
+                    const sessionIds = await DatabaseService.getSessionsWithRawPointsBefore(cutoffs.rawPoints);
+                    for (const sessionId of sessionIds) {
+                        removed.rawPoints += await this.downsampleSession(sessionId, cutoffs.rawPoints);
+                        downsampledSessions++;
+                    }
+                } else {
+                    removed.rawPoints = await DatabaseService.deletePointsBefore(cutoffs.rawPoints, false);
+                }
+            }
+            if (cutoffs.coarsePoints) {
+                removed.coarsePoints = await DatabaseService.deletePointsBefore(cutoffs.coarsePoints, true);
+            }
+            if (cutoffs.sessions) {
+                removed.sessions = await DatabaseService.deleteSessionsEndedBefore(cutoffs.sessions);
+            }
+            if (cutoffs.analytics) {
+                removed.analytics = await DatabaseService.deleteAnalyticsBefore(cutoffs.analytics);
+            }
+
+            this.lastRun = { startedAt, finishedAt: new Date(), removed, downsampledSessions };
+            console.log('🧹 Retention purge finished:', removed);
+        } catch (error) {
+            this.lastRun = { startedAt, finishedAt: new Date(), removed, downsampledSessions, error: error.message };
+            console.error('❌ Retention purge failed:', error);
+        } finally {
+            this.running = false;
+        }
+
+        return this.lastRun;
+    }
+
+    // Replace a session's expired raw points with a simplified track of them;
+    // returns how many points were deleted. The points are simplified in
+    // batches, each keeping its first and last point, so memory use does not
+    // grow with the session length.
+    async downsampleSession(sessionId, cutoff) {
+        let batch = [];
+        let dropped = 0;
+
+        const thin = async () => {
+            const keep = simplifyMask(
+                batch.map(record => record.coordinates.latitude),
+                batch.map(record => record.coordinates.longitude),
+                DOWNSAMPLE_TOLERANCE_METERS
+            );
+
+            const keepIds = [];
+            const dropIds = [];
+            batch.forEach((record, index) => (keep[index] ? keepIds : dropIds).push(record._id));
+
+            await DatabaseService.downsamplePoints(keepIds, dropIds);
+            dropped += dropIds.length;
+            batch = [];
+        };
+
+        for await (const record of DatabaseService.getRawPointCursor(sessionId, cutoff)) {
+            batch.push(record);
+            if (batch.length >= DOWNSAMPLE_BATCH_SIZE) {
+                await thin();
+            }
+        }
+        if (batch.length > 0) {
+            await thin();
+        }
+
+        return dropped;
+    }
+
+    // Retention settings, what is due for expiry right now and the last purge
+    async getExpiryReport() {
+        const cutoffs = this.getCutoffs();
+        const dueForExpiry = DatabaseService.isConnected ? await DatabaseService.countExpiring(cutoffs) : null;
+
+        return {
+            policyDays: { ...this.policy },
+            downsampleToleranceMeters: DOWNSAMPLE_TOLERANCE_METERS,
+            cutoffs,
+            dueForExpiry,
+            running: this.running,
+            lastRun: this.lastRun,
+            nextRunAt: this.nextRunAt
+        };
+    }
+}
+
+module.exports = new RetentionService();
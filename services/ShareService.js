@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const DatabaseService = require('./DatabaseService');
+
+const DEFAULT_EXPIRY_MINUTES = 60;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+// Error carrying the HTTP status the API should answer with
+function shareError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class ShareService {
+    // Socket.io room in the /share namespace for a session's viewers
+    roomFor(sessionId) {
+        return `share:${sessionId}`;
+    }
+
+    // Only the device that recorded a session may share it
+    async getOwnedSession(sessionId, deviceId) {
+        if (!DatabaseService.isConnected) {
+            throw shareError('Database not connected', 503);
+        }
+
+        const session = await DatabaseService.getSession(sessionId);
+        if (!session) {
+            throw shareError('Session not found', 404);
+        }
+
+        if (!session.deviceId || session.deviceId !== deviceId) {
+            throw shareError('Not allowed to share this session', 403);
+        }
+
+        return session;
+    }
+
+    // Mint a read-only share token for a session
+    async createShare(sessionId, deviceId, expiresInMinutes) {
+        await this.getOwnedSession(sessionId, deviceId);
+
+        const minutes = Math.min(
+            Math.max(parseInt(expiresInMinutes, 10) || DEFAULT_EXPIRY_MINUTES, 1),
+            MAX_EXPIRY_MINUTES
+        );
+
+        const shareLink = {
+            token: crypto.randomBytes(24).toString('base64url'),
+            sessionId,
+            expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+        };
+
+        await DatabaseService.createShareLink(shareLink);
+        console.log(`🔗 Share link created for session: ${sessionId} (${minutes} min)`);
+
+        return shareLink;
+    }
+
+    // Return the share link if it is still usable, otherwise null
+    async resolveShare(token) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const shareLink = await DatabaseService.findShareLink(token);
+        if (!shareLink || shareLink.revoked || shareLink.expiresAt <= new Date()) {
+            return null;
+        }
+
+        return shareLink;
+    }
+
+    // Revoke a share token before it expires
+    async revokeShare(token, deviceId) {
+        const shareLink = await DatabaseService.findShareLink(token);
+        if (!shareLink) {
+            throw shareError('Share link not found', 404);
+        }
+
+        await this.getOwnedSession(shareLink.sessionId, deviceId);
+        await DatabaseService.revokeShareLink(token);
+        console.log(`🔗 Share link revoked for session: ${shareLink.sessionId}`);
+
+        return shareLink;
+    }
+}
+
+module.exports = new ShareService();
@@ -0,0 +1,89 @@
+const DatabaseService = require('./DatabaseService');
+const PrivacyService = require('./PrivacyService');
+const { segmentTrack } = require('../utils/segmentation');
+
+// Error carrying the HTTP status the API should answer with
+function tripError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+// Splits session history into trips and stops and keeps the result in the
+// TripSegment collection
+class TripService {
+    constructor() {
+        this.options = {
+            stopRadiusMeters: parseFloat(process.env.SEGMENT_STOP_RADIUS_METERS) || 100,
+            minStopSeconds: parseInt(process.env.SEGMENT_MIN_STOP_SECONDS, 10) || 300
+        };
+    }
+
+    // Segment all points of a session and store the trips and stops
+    async segmentSession(sessionId) {
+        const points = await DatabaseService.getSessionLocations(sessionId);
+        const segments = segmentTrack(points, this.options);
+
+        await DatabaseService.replaceTripSegments(sessionId, segments);
+        console.log(`🚐 Session ${sessionId} segmented into ${segments.length} trips and stops`);
+
+        return segments;
+    }
+
+    // Trips and stops of a session. Sessions that are still recording are
+    // segmented again, finished ones are served from the stored segments.
+    // Callers other than the recording device (deviceId) get segments of the
+    // points it shared, at the precision it shared them at, worked out
+    // without storing them.
+    async getTrips(sessionId, { refresh = false, deviceId } = {}) {
+        if (!DatabaseService.isConnected) {
+            throw tripError('Database not connected', 503);
+        }
+
+        const session = await DatabaseService.getSession(sessionId);
+        if (!session) {
+            throw tripError('Session not found', 404);
+        }
+
+        const isOwner = Boolean(session.deviceId) && session.deviceId === deviceId;
+        let segments;
+        if (!isOwner) {
+            segments = segmentTrack(await this.getSharedPoints(sessionId), this.options);
+        } else {
+            segments = refresh || session.isActive ? [] : await DatabaseService.getTripSegments(sessionId);
+            if (segments.length === 0) {
+                segments = await this.segmentSession(sessionId);
+            }
+        }
+
+        return {
+            sessionId,
+            segments,
+            summary: this.summarize(segments)
+        };
+    }
+
+    // Points of a session as others see them, oldest first
+    async getSharedPoints(sessionId) {
+        const points = [];
+        for await (const record of DatabaseService.getSessionLocationCursor(sessionId, undefined, { sharedOnly: true })) {
+            points.push(PrivacyService.toSharedPoint(DatabaseService.toLocationPoint(record), record.precision, sessionId));
+        }
+        return points;
+    }
+
+    summarize(segments) {
+        const trips = segments.filter(segment => segment.type === 'trip');
+        const stops = segments.filter(segment => segment.type === 'stop');
+
+        return {
+            trips: trips.length,
+            stops: stops.length,
+            tripDistance: trips.reduce((sum, trip) => sum + trip.distance, 0), // km
+            tripDuration: trips.reduce((sum, trip) => sum + trip.duration, 0), // seconds
+            stopDuration: stops.reduce((sum, stop) => sum + stop.duration, 0) // seconds
+        };
+    }
+}
+
+module.exports = new TripService();
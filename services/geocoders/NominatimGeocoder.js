@@ -0,0 +1,80 @@
+// Reverse geocoding against a Nominatim-compatible HTTP API
+// (https://nominatim.org/release-docs/latest/api/Reverse/). The public server
+// allows one request per second and asks for an identifying User-Agent.
+class NominatimGeocoder {
+    constructor(options = {}) {
+        this.name = 'nominatim';
+        this.baseUrl = (options.baseUrl || process.env.GEOCODER_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+        this.userAgent = options.userAgent || process.env.GEOCODER_USER_AGENT || 'lightning-tracker/1.0';
+        this.email = options.email || process.env.GEOCODER_EMAIL || '';
+        this.minIntervalMs = options.minIntervalMs ?? (parseInt(process.env.GEOCODER_MIN_INTERVAL_MS, 10) || 1000);
+        this.maxQueue = options.maxQueue || 20;
+        this.timeoutMs = options.timeoutMs || 5000;
+
+        // Requests are sent one after another, at most one per interval
+        this.queue = Promise.resolve();
+        this.queued = 0;
+        this.lastRequestAt = 0;
+    }
+
+    async reverse(lat, lng) {
+        if (this.queued >= this.maxQueue) {
+            throw new Error('Nominatim request queue is full');
+        }
+
+        this.queued++;
+        const request = this.queue.then(async () => {
+            const waitMs = this.lastRequestAt + this.minIntervalMs - Date.now();
+            if (waitMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+            }
+            this.lastRequestAt = Date.now();
+            return this.request(lat, lng);
+        });
+
+        // Keep the chain going whether or not this request fails
+        this.queue = request.catch(() => {}).finally(() => {
+            this.queued--;
+        });
+
+        return request;
+    }
+
+    async request(lat, lng) {
+        const params = new URLSearchParams({
+            format: 'jsonv2',
+            lat: String(lat),
+            lon: String(lng),
+            zoom: '18',
+            addressdetails: '1'
+        });
+        if (this.email) {
+            params.set('email', this.email);
+        }
+
+        const response = await fetch(`${this.baseUrl}/reverse?${params}`, {
+            headers: { 'User-Agent': this.userAgent, 'Accept-Language': 'en' },
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Nominatim responded with ${response.status}: ${await response.text()}`);
+        }
+
+        const data = await response.json();
+        if (data.error || !data.address) {
+            // Nothing there to name, e.g. open sea
+            return null;
+        }
+
+        const { address } = data;
+        return {
+            country: address.country,
+            state: address.state || address.region || address.province,
+            city: address.city || address.town || address.village || address.hamlet || address.municipality,
+            district: address.city_district || address.suburb || address.borough || address.county,
+            formattedAddress: data.display_name
+        };
+    }
+}
+
+module.exports = NominatimGeocoder;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { pointInPolygon } = require('../../utils/geo');
+
+// Reverse geocoding from a local GeoJSON FeatureCollection of boundaries, for
+// offline use. Each Polygon or MultiPolygon feature carries any of country,
+// state, city and district in its properties. Features are listed from the
+// broadest to the most specific, so later matches fill in or override fields.
+class OfflineGeocoder {
+    constructor(options = {}) {
+        this.name = 'offline';
+        this.filePath = options.filePath ||
+            process.env.GEOCODER_BOUNDARIES_FILE ||
+            path.join(__dirname, '..', '..', 'fixtures', 'boundaries.geojson');
+        this.boundaries = null;
+    }
+
+    // Rings converted from GeoJSON [lng, lat] to the [lat, lng] used by utils/geo
+    load() {
+        if (!this.boundaries) {
+            const { features = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+            this.boundaries = features
+                .filter(feature => ['Polygon', 'MultiPolygon'].includes(feature.geometry?.type))
+                .map(feature => {
+                    const polygons = feature.geometry.type === 'Polygon'
+                        ? [feature.geometry.coordinates]
+                        : feature.geometry.coordinates;
+
+                    return {
+                        properties: feature.properties || {},
+                        // Only the outer ring of each polygon; holes are ignored
+                        rings: polygons.map(polygon => polygon[0].map(([lng, lat]) => [lat, lng]))
+                    };
+                });
+
+            console.log(`🗺️ Loaded ${this.boundaries.length} boundaries from ${this.filePath}`);
+        }
+        return this.boundaries;
+    }
+
+    async reverse(lat, lng) {
+        const address = {};
+        for (const { properties, rings } of this.load()) {
+            if (!rings.some(ring => pointInPolygon(lat, lng, ring))) continue;
+
+            for (const field of ['country', 'state', 'city', 'district']) {
+                if (properties[field]) {
+                    address[field] = properties[field];
+                }
+            }
+        }
+
+        if (Object.keys(address).length === 0) {
+            return null;
+        }
+
+        return {
+            ...address,
+            formattedAddress: [address.district, address.city, address.state, address.country]
+                .filter((part, index, parts) => part && parts.indexOf(part) === index)
+                .join(', ')
+        };
+    }
+}
+
+module.exports = OfflineGeocoder;
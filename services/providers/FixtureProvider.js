@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const { haversineDistance } = require('../../utils/geo');
+
+// Serves environmental data from a JSON file for offline development. The file
+// has a "default" entry and optional "locations" entries with a latitude,
+// longitude and radiusKm (default 50); the nearest location in range wins.
+class FixtureProvider {
+    constructor(options = {}) {
+        this.name = 'fixture';
+        this.filePath = options.filePath ||
+            process.env.ENV_FIXTURE_FILE ||
+            path.join(__dirname, '..', '..', 'fixtures', 'environmental.json');
+        this.fixture = null;
+    }
+
+    isConfigured() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        if (!this.fixture) {
+            this.fixture = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        }
+        return this.fixture;
+    }
+
+    entryFor(lat, lng) {
+        const { default: fallback = {}, locations = [] } = this.load();
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const location of locations) {
+            const distance = haversineDistance(lat, lng, location.latitude, location.longitude);
+            const inRange = distance <= (location.radiusKm || 50) * 1000;
+            if (inRange && distance < nearestDistance) {
+                nearest = location;
+                nearestDistance = distance;
+            }
+        }
+
+        return { ...fallback, ...nearest };
+    }
+
+    async getWeather(lat, lng) {
+        return this.entryFor(lat, lng).weather || null;
+    }
+
+    async getAirQuality(lat, lng) {
+        return this.entryFor(lat, lng).airQuality || null;
+    }
+
+    async getUvIndex(lat, lng) {
+        return this.entryFor(lat, lng).uvIndex ?? null;
+    }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,213 @@
+// Plausible values generated from the coordinates and the time, the last resort
+// when no other provider answers. The same place and time always give the same
+// values, and they drift smoothly as either changes. A named scenario can push
+// the values into extreme weather to exercise the client's alerts.
+
+// Size of the noise grid cells in degrees
+const CELL_DEGREES = 0.1;
+
+// How long it takes each quantity to drift to an unrelated value
+const HOUR_MS = 60 * 60 * 1000;
+const PERIODS = {
+    temperature: 6 * HOUR_MS,
+    humidity: 4 * HOUR_MS,
+    pressure: 12 * HOUR_MS,
+    windSpeed: 2 * HOUR_MS,
+    visibility: 3 * HOUR_MS,
+    cloudCover: 3 * HOUR_MS,
+    pollution: 4 * HOUR_MS
+};
+
+// Noise channels, so each quantity varies independently
+const CHANNELS = Object.keys(PERIODS);
+
+const SCENARIOS = {
+    normal: {},
+    heatwave: {
+        weather: w => ({
+            ...w,
+            temperature: w.temperature + 14,
+            humidity: w.humidity * 0.5,
+            windSpeed: w.windSpeed * 0.5
+        }),
+        // Ozone builds up in hot, still air
+        airQuality: a => ({ ...a, o3: a.o3 * 2.5 }),
+        uvIndex: uv => uv + 3
+    },
+    storm: {
+        weather: w => ({
+            ...w,
+            temperature: w.temperature - 6,
+            humidity: 95,
+            pressure: w.pressure - 35,
+            windSpeed: w.windSpeed + 55,
+            visibility: w.visibility * 0.2
+        }),
+        // Wind and rain wash particles out
+        airQuality: a => ({ pm25: a.pm25 * 0.5, pm10: a.pm10 * 0.5, o3: a.o3 * 0.7, no2: a.no2 * 0.5 }),
+        uvIndex: uv => uv * 0.2
+    },
+    smog: {
+        weather: w => ({
+            ...w,
+            windSpeed: w.windSpeed * 0.2,
+            visibility: w.visibility * 0.15
+        }),
+        airQuality: a => ({ pm25: a.pm25 * 6, pm10: a.pm10 * 4, o3: a.o3 * 1.5, no2: a.no2 * 4 }),
+        uvIndex: uv => uv * 0.6
+    }
+};
+
+// Integer hash of the arguments, as a number in [0, 1)
+function hash(...values) {
+    let h = 2166136261;
+    for (const value of values) {
+        h = Math.imul(h ^ (value | 0), 16777619);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0x5bd1e995);
+        h ^= h >>> 15;
+    }
+    return (h >>> 0) / 4294967296;
+}
+
+function fade(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Smooth noise in [0, 1) over a grid of x, y and z, interpolated between the
+// hashed values at the corners of each cell
+function valueNoise(seed, channel, x, y, z) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const z0 = Math.floor(z);
+    const fx = fade(x - x0);
+    const fy = fade(y - y0);
+    const fz = fade(z - z0);
+    const corner = (dx, dy, dz) => hash(seed, channel, x0 + dx, y0 + dy, z0 + dz);
+
+    return lerp(
+        lerp(lerp(corner(0, 0, 0), corner(1, 0, 0), fx), lerp(corner(0, 1, 0), corner(1, 1, 0), fx), fy),
+        lerp(lerp(corner(0, 0, 1), corner(1, 0, 1), fx), lerp(corner(0, 1, 1), corner(1, 1, 1), fx), fy),
+        fz
+    );
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.seed = parseInt(options.seed ?? process.env.MOCK_ENV_SEED, 10) || 1;
+        this.now = options.now || Date.now;
+
+        const scenario = (options.scenario || process.env.MOCK_ENV_SCENARIO || 'normal').toLowerCase();
+        if (SCENARIOS[scenario]) {
+            this.scenario = scenario;
+        } else {
+            console.warn(`⚠️ Unknown mock environmental scenario "${scenario}", using normal`);
+            this.scenario = 'normal';
+        }
+        if (this.scenario !== 'normal') {
+            console.log(`🎭 Mock environmental scenario: ${this.scenario}`);
+        }
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // Noise in [0, 1) for a quantity at a place and time
+    noise(quantity, lat, lng, time) {
+        return valueNoise(
+            this.seed,
+            CHANNELS.indexOf(quantity),
+            lng / CELL_DEGREES,
+            lat / CELL_DEGREES,
+            time / PERIODS[quantity]
+        );
+    }
+
+    // Hour of the day by the sun at this longitude, 0-24
+    solarHour(lng, time) {
+        const utcHours = (time % (24 * HOUR_MS)) / HOUR_MS;
+        return (((utcHours + lng / 15) % 24) + 24) % 24;
+    }
+
+    // How high the sun is, from 0 at night to 1 at noon
+    daylight(lng, time) {
+        return Math.max(0, Math.cos(((this.solarHour(lng, time) - 12) / 12) * Math.PI));
+    }
+
+    applyScenario(kind, values) {
+        const modifier = SCENARIOS[this.scenario][kind];
+        return modifier ? modifier(values) : values;
+    }
+
+    async getWeather(lat, lng) {
+        const time = this.now();
+
+        // Warmer towards the equator and in the hemisphere's summer, warmest mid-afternoon
+        const dayOfYear = (time % (365.25 * 24 * HOUR_MS)) / (24 * HOUR_MS);
+        const summer = Math.cos(((dayOfYear - 196) / 365.25) * 2 * Math.PI) * Math.sign(lat);
+        const afternoon = Math.cos(((this.solarHour(lng, time) - 15) / 24) * 2 * Math.PI);
+        const temperature = 30 - 0.5 * Math.abs(lat) +
+            summer * (Math.abs(lat) / 90) * 15 +
+            afternoon * 5 +
+            (this.noise('temperature', lat, lng, time) - 0.5) * 8;
+
+        const weather = this.applyScenario('weather', {
+            temperature,
+            humidity: 60 + (this.noise('humidity', lat, lng, time) - 0.5) * 40 - afternoon * 10,
+            pressure: 1013 + (this.noise('pressure', lat, lng, time) - 0.5) * 30,
+            windSpeed: this.noise('windSpeed', lat, lng, time) ** 1.5 * 30,
+            visibility: 5 + this.noise('visibility', lat, lng, time) * 15
+        });
+
+        return {
+            temperature: Math.round(weather.temperature),
+            humidity: Math.round(clamp(weather.humidity, 5, 100)),
+            pressure: Math.round(weather.pressure),
+            windSpeed: Math.round(clamp(weather.windSpeed, 0, 150)),
+            visibility: Math.round(clamp(weather.visibility, 0.1, 20) * 10) / 10
+        };
+    }
+
+    // Pollutant concentrations in µg/m³
+    async getAirQuality(lat, lng) {
+        const time = this.now();
+        const pollution = this.noise('pollution', lat, lng, time);
+
+        const airQuality = this.applyScenario('airQuality', {
+            pm25: 4 + pollution * 30,
+            pm10: 10 + pollution * 50,
+            o3: 30 + this.daylight(lng, time) * 60 + pollution * 20,
+            no2: 8 + pollution * 50
+        });
+
+        return {
+            pm25: Math.round(airQuality.pm25 * 10) / 10,
+            pm10: Math.round(airQuality.pm10),
+            o3: Math.round(airQuality.o3),
+            no2: Math.round(airQuality.no2)
+        };
+    }
+
+    async getUvIndex(lat, lng) {
+        const time = this.now();
+
+        // Strongest near the equator at noon, less under cloud
+        const clearSky = 1 - this.noise('cloudCover', lat, lng, time) * 0.6;
+        const peak = 12 * Math.cos((lat * Math.PI) / 180);
+        const uvIndex = this.applyScenario('uvIndex', this.daylight(lng, time) * peak * clearSky);
+
+        return Math.round(clamp(uvIndex, 0, 14));
+    }
+}
+
+module.exports = MockProvider;
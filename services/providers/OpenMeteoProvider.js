@@ -0,0 +1,58 @@
+// Open-Meteo forecast and air quality APIs (https://open-meteo.com), no API key needed
+class OpenMeteoProvider {
+    constructor(options = {}) {
+        this.name = 'open-meteo';
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async request(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`Open-Meteo responded with ${response.status}: ${await response.text()}`);
+        }
+        return response.json();
+    }
+
+    async getWeather(lat, lng) {
+        const url = 'https://api.open-meteo.com/v1/forecast' +
+            `?latitude=${lat}&longitude=${lng}` +
+            '&current=temperature_2m,relative_humidity_2m,surface_pressure,wind_speed_10m,visibility';
+        const { current } = await this.request(url);
+
+        return {
+            temperature: Math.round(current.temperature_2m),
+            humidity: current.relative_humidity_2m,
+            pressure: Math.round(current.surface_pressure),
+            windSpeed: Math.round(current.wind_speed_10m), // Already km/h
+            visibility: Math.round((current.visibility ?? 10000) / 1000) // Convert to km
+        };
+    }
+
+    // Pollutant concentrations in µg/m³
+    async getAirQuality(lat, lng) {
+        const url = 'https://air-quality-api.open-meteo.com/v1/air-quality' +
+            `?latitude=${lat}&longitude=${lng}&current=pm2_5,pm10,ozone,nitrogen_dioxide`;
+        const { current } = await this.request(url);
+
+        return {
+            pm25: current.pm2_5,
+            pm10: current.pm10,
+            o3: current.ozone,
+            no2: current.nitrogen_dioxide
+        };
+    }
+
+    async getUvIndex(lat, lng) {
+        const url = 'https://api.open-meteo.com/v1/forecast' +
+            `?latitude=${lat}&longitude=${lng}&current=uv_index`;
+        const { current } = await this.request(url);
+
+        return Math.round(current.uv_index);
+    }
+}
+
+module.exports = OpenMeteoProvider;
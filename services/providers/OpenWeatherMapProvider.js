@@ -0,0 +1,88 @@
+// OpenWeatherMap current weather and air pollution (https://openweathermap.org/api)
+class OpenWeatherMapProvider {
+    constructor(options = {}) {
+        this.name = 'openweathermap';
+        this.apiKey = options.apiKey || process.env.OPENWEATHER_API_KEY || '';
+        this.timeoutMs = options.timeoutMs || 5000;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey) && !this.apiKey.startsWith('your_');
+    }
+
+    validateApiKey() {
+        if (!this.isConfigured()) {
+            console.log('⚠️ Please configure your real OpenWeatherMap API key');
+            return;
+        }
+
+        console.log('🔑 Weather API Key configured:', this.apiKey.substring(0, 8) + '...');
+        if (this.apiKey.length !== 32) {
+            console.log('⚠️ Warning: OpenWeatherMap API keys are typically 32 characters long');
+        } else {
+            console.log('✅ API key format looks correct');
+        }
+    }
+
+    async request(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(this.timeoutMs) });
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                console.error('❌ Weather API 401 Error: Invalid API key or key not activated yet');
+                console.log('💡 Solutions:');
+                console.log('   1. Wait 10-15 minutes for new API key activation');
+                console.log('   2. Verify your email in OpenWeatherMap account');
+                console.log('   3. Check API key at: https://home.openweathermap.org/api_keys');
+                console.log('   4. Create a new API key if needed');
+            } else if (response.status === 429) {
+                console.error('❌ Weather API 429 Error: Rate limit exceeded');
+            }
+            throw new Error(`OpenWeatherMap responded with ${response.status}: ${await response.text()}`);
+        }
+
+        return response.json();
+    }
+
+    async getWeather(lat, lng) {
+        const weatherUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lng}&appid=${this.apiKey}&units=metric`;
+        console.log('🌐 Calling weather API for coordinates:', lat, lng);
+
+        const data = await this.request(weatherUrl);
+        console.log('✅ Real weather data received:', {
+            temp: data.main.temp,
+            humidity: data.main.humidity,
+            location: data.name
+        });
+
+        return {
+            temperature: Math.round(data.main.temp),
+            humidity: data.main.humidity,
+            pressure: data.main.pressure,
+            windSpeed: Math.round(data.wind?.speed * 3.6) || 0, // Convert m/s to km/h
+            visibility: Math.round((data.visibility || 10000) / 1000) // Convert to km
+        };
+    }
+
+    // Pollutant concentrations in µg/m³
+    async getAirQuality(lat, lng) {
+        const airPollutionUrl = `https://api.openweathermap.org/data/2.5/air_pollution?lat=${lat}&lon=${lng}&appid=${this.apiKey}`;
+        const data = await this.request(airPollutionUrl);
+        const components = data.list?.[0]?.components;
+        if (!components) return null;
+
+        return {
+            pm25: components.pm2_5,
+            pm10: components.pm10,
+            o3: components.o3,
+            no2: components.no2
+        };
+    }
+
+    // UV is not available on the free plan
+    async getUvIndex() {
+        return null;
+    }
+}
+
+module.exports = OpenWeatherMapProvider;
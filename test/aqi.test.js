@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAqi, pollutantIndex, categorize } = require('../utils/aqi');
+
+// µg/m³ of one ppb, as the module converts gases
+const O3_UG_PER_PPB = 48.00 / 24.45;
+
+test('PM2.5 breakpoint edges map to the ends of their index ranges', () => {
+    assert.equal(pollutantIndex('pm25', 0), 0);
+    assert.equal(pollutantIndex('pm25', 9.0), 50);
+    assert.equal(pollutantIndex('pm25', 9.1), 51);
+    assert.equal(pollutantIndex('pm25', 35.4), 100);
+    assert.equal(pollutantIndex('pm25', 35.5), 101);
+    assert.equal(pollutantIndex('pm25', 325.4), 500);
+});
+
+test('concentrations are truncated to the precision of the table', () => {
+    assert.equal(pollutantIndex('pm25', 9.09), 50);
+    assert.equal(pollutantIndex('pm10', 54.9), 50);
+    assert.equal(pollutantIndex('pm10', 55), 51);
+});
+
+test('gases are converted from µg/m³ to ppb before the lookup', () => {
+    assert.equal(pollutantIndex('o3', 54 * O3_UG_PER_PPB), 50);
+    assert.equal(pollutantIndex('o3', 55 * O3_UG_PER_PPB), 51);
+});
+
+test('values beyond the table report the top of the scale', () => {
+    assert.equal(pollutantIndex('pm25', 1000), 500);
+    assert.equal(pollutantIndex('o3', 500 * O3_UG_PER_PPB), 300);
+});
+
+test('missing and negative concentrations have no index', () => {
+    assert.equal(pollutantIndex('pm25', undefined), null);
+    assert.equal(pollutantIndex('pm25', -1), null);
+    assert.equal(pollutantIndex('pm25', NaN), null);
+});
+
+test('categories change right after each upper bound', () => {
+    assert.equal(categorize(50), 'Good');
+    assert.equal(categorize(51), 'Moderate');
+    assert.equal(categorize(100), 'Moderate');
+    assert.equal(categorize(101), 'Unhealthy for Sensitive');
+    assert.equal(categorize(300), 'Very Unhealthy');
+    assert.equal(categorize(301), 'Hazardous');
+});
+
+test('computeAqi reports the highest sub-index and its pollutant', () => {
+    assert.deepEqual(computeAqi({ pm25: 9.0, pm10: 55 }), {
+        aqi: 51,
+        category: 'Moderate',
+        dominantPollutant: 'pm10'
+    });
+    assert.equal(computeAqi({}), null);
+    assert.equal(computeAqi(undefined), null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineDistance } = require('../utils/geo');
+const {
+    truncateIp,
+    anonymizeIp,
+    keyedRandom,
+    coarsenPosition,
+    jitterPosition,
+    reducePrecision
+} = require('../utils/privacy');
+
+const location = {
+    latitude: 52.52,
+    longitude: 13.405,
+    accuracy: 10,
+    address: {
+        street: 'Unter den Linden 1',
+        city: 'Berlin',
+        state: 'Berlin',
+        country: 'Germany',
+        formattedAddress: 'Unter den Linden 1, Berlin, Germany'
+    }
+};
+
+test('truncateIp keeps the network of IPv4 and IPv6 addresses', () => {
+    assert.equal(truncateIp('203.0.113.77'), '203.0.113.0');
+    assert.equal(truncateIp('::ffff:203.0.113.77'), '203.0.113.0');
+    assert.equal(truncateIp('2001:db8:abcd:12:34::1'), '2001:db8:abcd::');
+    assert.equal(truncateIp('2001:db8::1'), '2001:db8:0::');
+    assert.equal(truncateIp('localhost'), 'localhost');
+});
+
+test('anonymizeIp stores, truncates or hashes by mode', () => {
+    assert.equal(anonymizeIp('203.0.113.77', 'none', 'secret'), '203.0.113.77');
+    assert.equal(anonymizeIp('203.0.113.77', 'truncate', 'secret'), '203.0.113.0');
+
+    const hash = anonymizeIp('203.0.113.77', 'hash', 'secret');
+    assert.match(hash, /^[0-9a-f]{32}$/);
+    assert.equal(anonymizeIp('203.0.113.77', 'hash', 'secret'), hash);
+    assert.notEqual(anonymizeIp('203.0.113.77', 'hash', 'other secret'), hash);
+});
+
+test('keyedRandom repeats for the same key and differs between keys', () => {
+    const draw = random => [random(), random(), random()];
+
+    assert.deepEqual(draw(keyedRandom('secret', 'session-a')), draw(keyedRandom('secret', 'session-a')));
+    assert.notDeepEqual(draw(keyedRandom('secret', 'session-a')), draw(keyedRandom('secret', 'session-b')));
+    for (const value of draw(keyedRandom('secret', 'session-a'))) {
+        assert.ok(value >= 0 && value < 1);
+    }
+});
+
+test('coarsenPosition snaps nearby positions to the same cell center', () => {
+    const a = coarsenPosition(52.5201, 13.4051, 500);
+    const b = coarsenPosition(52.5202, 13.4052, 500);
+
+    assert.deepEqual(a, b);
+    assert.ok(haversineDistance(52.5201, 13.4051, a.latitude, a.longitude) <= 500);
+});
+
+test('jitterPosition stays within its radius', () => {
+    for (let i = 0; i < 200; i++) {
+        const jittered = jitterPosition(location.latitude, location.longitude, 300);
+        assert.ok(haversineDistance(location.latitude, location.longitude, jittered.latitude, jittered.longitude) <= 300.001);
+    }
+});
+
+test('reducePrecision leaves exact locations alone', () => {
+    assert.equal(reducePrecision(location, 'exact', 500), location);
+});
+
+test('reducePrecision coarsens position, accuracy and address', () => {
+    const reduced = reducePrecision(location, 'coarse', 500);
+
+    assert.deepEqual(
+        { latitude: reduced.latitude, longitude: reduced.longitude },
+        coarsenPosition(location.latitude, location.longitude, 500)
+    );
+    assert.equal(reduced.accuracy, 500);
+    assert.equal(reduced.precision, 'coarse');
+    assert.deepEqual(reduced.address, {
+        country: 'Germany',
+        state: 'Berlin',
+        city: 'Berlin',
+        formattedAddress: 'Berlin, Berlin, Germany'
+    });
+});
+
+test('reducePrecision jitters by the same offset for the same key', () => {
+    const first = reducePrecision(location, 'jitter', 500, keyedRandom('secret', 'session-a'));
+    const second = reducePrecision(location, 'jitter', 500, keyedRandom('secret', 'session-a'));
+
+    assert.equal(first.latitude, second.latitude);
+    assert.equal(first.longitude, second.longitude);
+    assert.equal(first.precision, 'jitter');
+    assert.ok(haversineDistance(location.latitude, location.longitude, first.latitude, first.longitude) <= 500.001);
+});
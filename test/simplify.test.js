@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simplifyMask, simplifyPoints } = require('../utils/simplify');
+
+// About 11 m of latitude
+const STEP = 0.0001;
+
+test('simplifyMask keeps the ends of a straight line only', () => {
+    const latitudes = [0, 1, 2, 3, 4].map(i => 52 + i * STEP);
+    const longitudes = latitudes.map(() => 13);
+
+    assert.deepEqual(Array.from(simplifyMask(latitudes, longitudes, 1)), [1, 0, 0, 0, 1]);
+});
+
+test('simplifyMask keeps corners beyond the tolerance', () => {
+    const latitudes = [52, 52 + 10 * STEP, 52 + 10 * STEP];
+    const longitudes = [13, 13, 13 + 10 * STEP];
+
+    assert.deepEqual(Array.from(simplifyMask(latitudes, longitudes, 5)), [1, 1, 1]);
+    assert.deepEqual(Array.from(simplifyMask(latitudes, longitudes, 500)), [1, 0, 1]);
+});
+
+test('simplifyMask handles empty and single point tracks', () => {
+    assert.deepEqual(Array.from(simplifyMask([], [], 10)), []);
+    assert.deepEqual(Array.from(simplifyMask([52], [13], 10)), [1]);
+});
+
+test('simplifyPoints returns the kept points themselves', () => {
+    const points = [0, 1, 2].map(i => ({ latitude: 52 + i * STEP, longitude: 13, timestamp: i }));
+
+    assert.deepEqual(simplifyPoints(points, 1), [points[0], points[2]]);
+});
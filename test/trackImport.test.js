@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormat, parseGpx, parseGeoJson } = require('../utils/trackImport');
+
+test('detectFormat tells GPX from GeoJSON by the first character', () => {
+    assert.equal(detectFormat('  <?xml version="1.0"?><gpx/>'), 'gpx');
+    assert.equal(detectFormat('\n{"type": "Feature"}'), 'geojson');
+    assert.equal(detectFormat('lat,lng'), null);
+});
+
+test('parseGpx reads track points with their times', () => {
+    const result = parseGpx([
+        '<gpx>',
+        '<trk><name>Morning &amp; walk</name><trkseg>',
+        '<trkpt lat="52.5" lon="13.4"><ele>34</ele><time>2024-01-01T00:00:00Z</time></trkpt>',
+        '<trkpt lat="52.6" lon="13.5"><time>2024-01-01T00:01:00Z</time></trkpt>',
+        '</trkseg></trk>',
+        '</gpx>'
+    ].join('\n'));
+
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.name, 'Morning & walk');
+    assert.deepEqual(result.points.map(point => point.timestamp), [1704067200000, 1704067260000]);
+    assert.equal(result.points[0].altitude, 34);
+});
+
+test('parseGpx reports rejected points on their own lines', () => {
+    const result = parseGpx([
+        '<gpx>',
+        '<trk><trkseg>',
+        '<trkpt lat="52.5" lon="13.4"><time>2024-01-01T00:00:00Z</time></trkpt>',
+        '<trkpt lat="95" lon="13.4"><time>2024-01-01T00:01:00Z</time></trkpt>',
+        '<trkpt lat="52.5" lon="13.4"></trkpt>',
+        '</trkseg></trk>',
+        '</gpx>'
+    ].join('\n'));
+
+    assert.equal(result.points.length, 1);
+    assert.deepEqual(result.errors, [
+        { line: 4, message: 'latitude must be a number between -90 and 90' },
+        { line: 5, message: 'point has no time' }
+    ]);
+});
+
+test('parseGpx reports invalid character references', () => {
+    const result = parseGpx('<gpx>\n<trk><name>A &#xFFFFFFFF; B</name></trk>\n</gpx>');
+
+    assert.deepEqual(result.errors, [{ line: 2, message: 'invalid character reference &#xFFFFFFFF;' }]);
+});
+
+test('parseGpx refuses routes, which have no times', () => {
+    const result = parseGpx('<gpx>\n<rte><rtept lat="1" lon="2"/></rte>\n</gpx>');
+
+    assert.deepEqual(result.points, []);
+    assert.deepEqual(result.errors, [{
+        line: 2,
+        message: 'routes have no times and cannot be imported, export the recorded track (<trk>) instead'
+    }]);
+});
+
+test('parseGpx reports tags left open', () => {
+    const result = parseGpx('<gpx>\n<trk>\n</gpx>');
+
+    assert.deepEqual(result.errors, [{ line: 3, message: '<trk> is not closed before </gpx>' }]);
+});
+
+test('parseGeoJson reads a LineString with coordTimes', () => {
+    const result = parseGeoJson(JSON.stringify({
+        type: 'Feature',
+        properties: { coordTimes: ['2024-01-01T00:00:00Z', '2024-01-01T00:01:00Z'] },
+        geometry: { type: 'LineString', coordinates: [[13.4, 52.5], [13.5, 52.6]] }
+    }));
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.points.map(({ latitude, longitude, timestamp }) => ({ latitude, longitude, timestamp })), [
+        { latitude: 52.5, longitude: 13.4, timestamp: 1704067200000 },
+        { latitude: 52.6, longitude: 13.5, timestamp: 1704067260000 }
+    ]);
+});
+
+test('parseGeoJson needs a time for every position', () => {
+    const withoutTimes = parseGeoJson([
+        '{',
+        '  "type": "Feature",',
+        '  "geometry": { "type": "LineString", "coordinates": [[13.4, 52.5], [13.5, 52.6]] }',
+        '}'
+    ].join('\n'));
+    assert.deepEqual(withoutTimes.errors, [
+        { line: 3, message: 'LineString needs a "coordTimes" property with a time for every position' }
+    ]);
+
+    const tooFewTimes = parseGeoJson([
+        '{',
+        '  "type": "Feature",',
+        '  "properties": { "coordTimes": ["2024-01-01T00:00:00Z"] },',
+        '  "geometry": { "type": "LineString", "coordinates": [[13.4, 52.5], [13.5, 52.6]] }',
+        '}'
+    ].join('\n'));
+    assert.deepEqual(tooFewTimes.errors, [{ line: 3, message: '"coordTimes" has 1 entries for 2 positions' }]);
+});
+
+test('parseGeoJson reports the line of a JSON syntax error', () => {
+    const result = parseGeoJson('{\n  "type": "Feature",\n  oops\n}');
+
+    assert.deepEqual(result.errors, [{ line: 3, message: 'invalid JSON: expected a property name in double quotes' }]);
+});
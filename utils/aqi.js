@@ -0,0 +1,119 @@
+// US EPA Air Quality Index from pollutant concentrations
+// https://www.airnow.gov/sites/default/files/2020-05/aqi-technical-assistance-document-sept2018.pdf
+// (PM2.5 breakpoints as revised in 2024)
+
+// [concentration low, concentration high, index low, index high]
+const BREAKPOINTS = {
+    pm25: [ // µg/m³, 24-hour
+        [0.0, 9.0, 0, 50],
+        [9.1, 35.4, 51, 100],
+        [35.5, 55.4, 101, 150],
+        [55.5, 125.4, 151, 200],
+        [125.5, 225.4, 201, 300],
+        [225.5, 325.4, 301, 500]
+    ],
+    pm10: [ // µg/m³, 24-hour
+        [0, 54, 0, 50],
+        [55, 154, 51, 100],
+        [155, 254, 101, 150],
+        [255, 354, 151, 200],
+        [355, 424, 201, 300],
+        [425, 604, 301, 500]
+    ],
+    o3: [ // ppb, 8-hour
+        [0, 54, 0, 50],
+        [55, 70, 51, 100],
+        [71, 85, 101, 150],
+        [86, 105, 151, 200],
+        [106, 200, 201, 300]
+    ],
+    no2: [ // ppb, 1-hour
+        [0, 53, 0, 50],
+        [54, 100, 51, 100],
+        [101, 360, 101, 150],
+        [361, 649, 151, 200],
+        [650, 1249, 201, 300],
+        [1250, 2049, 301, 500]
+    ]
+};
+
+// µg/m³ per ppb at 25°C and 1 atm (molecular weight / 24.45)
+const UG_PER_PPB = {
+    o3: 48.00 / 24.45,
+    no2: 46.01 / 24.45
+};
+
+// Concentrations are truncated to the precision of the breakpoint table
+const TRUNCATE_DECIMALS = {
+    pm25: 1,
+    pm10: 0,
+    o3: 0,
+    no2: 0
+};
+
+const CATEGORIES = [
+    [50, 'Good'],
+    [100, 'Moderate'],
+    [150, 'Unhealthy for Sensitive'],
+    [200, 'Unhealthy'],
+    [300, 'Very Unhealthy'],
+    [Infinity, 'Hazardous']
+];
+
+function truncate(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.floor(value * factor) / factor;
+}
+
+// Sub-index for one pollutant; concentration in µg/m³
+function pollutantIndex(pollutant, concentration) {
+    if (!Number.isFinite(concentration) || concentration < 0) return null;
+
+    const value = truncate(
+        UG_PER_PPB[pollutant] ? concentration / UG_PER_PPB[pollutant] : concentration,
+        TRUNCATE_DECIMALS[pollutant]
+    );
+    const table = BREAKPOINTS[pollutant];
+
+    for (const [cLow, cHigh, iLow, iHigh] of table) {
+        if (value <= cHigh) {
+            return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (Math.max(value, cLow) - cLow) + iLow);
+        }
+    }
+
+    // Beyond the table: report the top of the scale
+    return table[table.length - 1][3];
+}
+
+function categorize(aqi) {
+    return CATEGORIES.find(([upper]) => aqi <= upper)[1];
+}
+
+// Overall AQI is the highest pollutant sub-index.
+// pollutants: { pm25, pm10, o3, no2 } in µg/m³, any of them may be missing.
+function computeAqi(pollutants) {
+    let aqi = null;
+    let dominantPollutant = null;
+
+    for (const pollutant of Object.keys(BREAKPOINTS)) {
+        const index = pollutantIndex(pollutant, pollutants?.[pollutant]);
+        if (index !== null && (aqi === null || index > aqi)) {
+            aqi = index;
+            dominantPollutant = pollutant;
+        }
+    }
+
+    if (aqi === null) return null;
+
+    return {
+        aqi,
+        category: categorize(aqi),
+        dominantPollutant
+    };
+}
+
+module.exports = {
+    computeAqi,
+    pollutantIndex,
+    categorize
+};
@@ -0,0 +1,30 @@
+// Device tokens are the only credential a device has: they resume its sessions
+// and prove ownership of its shares, geofences and data. The server only keeps
+// a hash of the token as the device's id, so an id that leaks through stored or
+// returned data cannot be presented as a token.
+
+const crypto = require('crypto');
+
+const DEVICE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Ids are hex SHA-256 digests, which tells them apart from raw tokens stored
+// before hashing, as clients generate shorter tokens
+const DEVICE_ID_PATTERN = /^[0-9a-f]{64}$/;
+
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Device id for a token a client presented, or undefined for a missing or
+// malformed one
+function deviceIdFromToken(token) {
+    return typeof token === 'string' && DEVICE_TOKEN_PATTERN.test(token)
+        ? hashDeviceToken(token)
+        : undefined;
+}
+
+module.exports = {
+    DEVICE_ID_PATTERN,
+    hashDeviceToken,
+    deviceIdFromToken
+};
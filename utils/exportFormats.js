@@ -0,0 +1,206 @@
+// Writers for session track exports. Every format is a list of passes over the
+// session's points; each pass has a start, one chunk per point and an end, so
+// exports can be streamed without holding the points in memory.
+
+const CREATOR = 'Lightning Tracker';
+
+// Environmental readings included in every export: [property name, reading path]
+const ENVIRONMENTAL_FIELDS = [
+    ['temperature', env => env.temperature], // °C
+    ['humidity', env => env.humidity], // %
+    ['pressure', env => env.pressure], // hPa
+    ['windSpeed', env => env.windSpeed], // km/h
+    ['visibility', env => env.visibility], // km
+    ['airQuality', env => env.airQuality],
+    ['aqi', env => env.aqi],
+    ['pm25', env => env.pollutants?.pm25], // µg/m³
+    ['pm10', env => env.pollutants?.pm10],
+    ['o3', env => env.pollutants?.o3],
+    ['no2', env => env.pollutants?.no2],
+    ['uvIndex', env => env.uvIndex]
+];
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Text starting like a formula gets a leading ' so spreadsheets show it as
+// text instead of running it; numbers, negative ones included, are left alone
+function escapeCsv(value) {
+    if (!isPresent(value)) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function isoTime(timestamp) {
+    return new Date(timestamp).toISOString();
+}
+
+// Present environmental readings of a point as [name, value] pairs
+function environmentalEntries(point) {
+    if (!point.environmental) return [];
+    return ENVIRONMENTAL_FIELDS
+        .map(([name, read]) => [name, read(point.environmental)])
+        .filter(([, value]) => isPresent(value));
+}
+
+function sessionTitle(session) {
+    return `Session ${session.sessionId}`;
+}
+
+const gpx = {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    passes: [{
+        start: session => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${CREATOR}"`,
+            '  xmlns="http://www.topografix.com/GPX/1/1"',
+            '  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"',
+            '  xmlns:lt="urn:lightning-tracker:gpx:1">',
+            `  <metadata><name>${escapeXml(sessionTitle(session))}</name><time>${isoTime(session.connectionTime)}</time></metadata>`,
+            `  <trk><name>${escapeXml(sessionTitle(session))}</name><trkseg>`,
+            ''
+        ].join('\n'),
+        point: point => {
+            const children = [];
+            if (isPresent(point.altitude)) children.push(`<ele>${point.altitude}</ele>`);
+            children.push(`<time>${isoTime(point.timestamp)}</time>`);
+            if (point.address?.formattedAddress) children.push(`<desc>${escapeXml(point.address.formattedAddress)}</desc>`);
+
+            // Speed and air temperature in Garmin's extension, the rest in our own namespace
+            const garmin = [];
+            if (isPresent(point.environmental?.temperature)) garmin.push(`<gpxtpx:atemp>${point.environmental.temperature}</gpxtpx:atemp>`);
+            if (isPresent(point.speed)) garmin.push(`<gpxtpx:speed>${point.speed}</gpxtpx:speed>`);
+
+            const extensions = [];
+            if (garmin.length) extensions.push(`<gpxtpx:TrackPointExtension>${garmin.join('')}</gpxtpx:TrackPointExtension>`);
+            if (isPresent(point.accuracy)) extensions.push(`<lt:accuracy>${point.accuracy}</lt:accuracy>`);
+            environmentalEntries(point)
+                .filter(([name]) => name !== 'temperature')
+                .forEach(([name, value]) => extensions.push(`<lt:${name}>${escapeXml(value)}</lt:${name}>`));
+            if (extensions.length) children.push(`<extensions>${extensions.join('')}</extensions>`);
+
+            return `    <trkpt lat="${point.latitude}" lon="${point.longitude}">${children.join('')}</trkpt>\n`;
+        },
+        end: () => '  </trkseg></trk>\n</gpx>\n'
+    }]
+};
+
+// KML needs two passes: the path as one line, then a placemark per point
+// carrying its time and readings
+const kml = {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    passes: [{
+        start: session => [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '<Document>',
+            `  <name>${escapeXml(sessionTitle(session))}</name>`,
+            '  <Style id="track"><LineStyle><color>ff47b3ff</color><width>4</width></LineStyle></Style>',
+            '  <Placemark>',
+            '    <name>Track</name>',
+            '    <styleUrl>#track</styleUrl>',
+            '    <LineString><tessellate>1</tessellate><altitudeMode>clampToGround</altitudeMode><coordinates>',
+            ''
+        ].join('\n'),
+        point: point => `${point.longitude},${point.latitude}${isPresent(point.altitude) ? ',' + point.altitude : ''}\n`,
+        end: () => '    </coordinates></LineString>\n  </Placemark>\n'
+    }, {
+        start: () => '  <Folder><name>Points</name>\n',
+        point: point => {
+            const data = [
+                ['accuracy', point.accuracy],
+                ['speed', point.speed],
+                ['altitude', point.altitude],
+                ...environmentalEntries(point)
+            ]
+                .filter(([, value]) => isPresent(value))
+                .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+                .join('');
+            const description = point.address?.formattedAddress
+                ? `<description>${escapeXml(point.address.formattedAddress)}</description>`
+                : '';
+            const altitude = isPresent(point.altitude) ? ',' + point.altitude : '';
+
+            return `    <Placemark><TimeStamp><when>${isoTime(point.timestamp)}</when></TimeStamp>${description}` +
+                `<ExtendedData>${data}</ExtendedData>` +
+                `<Point><coordinates>${point.longitude},${point.latitude}${altitude}</coordinates></Point></Placemark>\n`;
+        },
+        end: () => '  </Folder>\n</Document>\n</kml>\n'
+    }]
+};
+
+const geojson = {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    passes: [{
+        start: session => `{"type":"FeatureCollection","properties":${JSON.stringify({
+            sessionId: session.sessionId,
+            startTime: session.connectionTime
+        })},"features":[\n`,
+        point: (point, index) => {
+            const coordinates = [point.longitude, point.latitude];
+            if (isPresent(point.altitude)) coordinates.push(point.altitude);
+
+            const feature = {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates },
+                properties: {
+                    time: isoTime(point.timestamp),
+                    accuracy: point.accuracy,
+                    speed: point.speed,
+                    ...Object.fromEntries(environmentalEntries(point)),
+                    address: point.address?.formattedAddress
+                }
+            };
+            return `${index > 0 ? ',\n' : ''}${JSON.stringify(feature)}`;
+        },
+        end: () => '\n]}\n'
+    }]
+};
+
+const CSV_COLUMNS = ['timestamp', 'latitude', 'longitude', 'altitude', 'accuracy', 'speed',
+    ...ENVIRONMENTAL_FIELDS.map(([name]) => name), 'address'];
+
+const csv = {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    passes: [{
+        start: () => CSV_COLUMNS.join(',') + '\n',
+        point: point => {
+            const environmental = Object.fromEntries(environmentalEntries(point));
+            const row = {
+                timestamp: isoTime(point.timestamp),
+                latitude: point.latitude,
+                longitude: point.longitude,
+                altitude: point.altitude,
+                accuracy: point.accuracy,
+                speed: point.speed,
+                ...environmental,
+                address: point.address?.formattedAddress
+            };
+            return CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',') + '\n';
+        },
+        end: () => ''
+    }]
+};
+
+const EXPORT_FORMATS = { gpx, kml, geojson, csv };
+
+module.exports = {
+    EXPORT_FORMATS
+};
@@ -0,0 +1,38 @@
+// Geometry helpers shared by the server-side services
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRad(degrees) {
+    return degrees * (Math.PI / 180);
+}
+
+// Great-circle distance between two coordinates, in meters
+function haversineDistance(lat1, lng1, lat2, lng2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_METERS * c;
+}
+
+// Ray casting test; polygon is an array of [latitude, longitude] vertices
+function pointInPolygon(lat, lng, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const intersects = ((latI > lat) !== (latJ > lat)) &&
+            (lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI);
+        if (intersects) inside = !inside;
+    }
+    return inside;
+}
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    toRad,
+    haversineDistance,
+    pointInPolygon
+};
@@ -0,0 +1,40 @@
+// Geohash encoding, used to group nearby coordinates into cells
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Encode a coordinate as a geohash of the given length (precision 6 is a cell of roughly 1.2 x 0.6 km)
+function encodeGeohash(latitude, longitude, precision = 6) {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bits = 0;
+    let bitCount = 0;
+    let evenBit = true;
+
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? longitude : latitude;
+        const mid = (range[0] + range[1]) / 2;
+
+        if (value >= mid) {
+            bits = (bits << 1) | 1;
+            range[0] = mid;
+        } else {
+            bits = bits << 1;
+            range[1] = mid;
+        }
+
+        evenBit = !evenBit;
+        if (++bitCount === 5) {
+            hash += BASE32[bits];
+            bits = 0;
+            bitCount = 0;
+        }
+    }
+
+    return hash;
+}
+
+module.exports = {
+    encodeGeohash
+};
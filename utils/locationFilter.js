@@ -0,0 +1,114 @@
+// Cleaning of raw browser geolocation fixes before they are stored.
+// A fix is rejected when its reported accuracy is too poor or when reaching it
+// from the current estimate would take an impossible speed. Accepted fixes are
+// smoothed with a Kalman filter whose measurement noise is the reported
+// accuracy, so precise fixes pull the estimate further than vague ones.
+
+const { haversineDistance } = require('./geo');
+
+function numberFromEnv(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+const DEFAULT_FILTER_OPTIONS = {
+    // Fixes reporting a worse accuracy are dropped
+    maxAccuracyMeters: numberFromEnv('FILTER_MAX_ACCURACY_METERS', 100),
+    // Assumed accuracy of fixes that report none
+    defaultAccuracyMeters: 30,
+    // Faster than this between the estimate and a fix is a jump, not movement (~250 km/h)
+    maxSpeedMps: numberFromEnv('FILTER_MAX_SPEED_MPS', 70),
+    // How far the position is expected to drift per second, i.e. how quickly
+    // the filter follows real movement
+    processNoiseMps: numberFromEnv('FILTER_PROCESS_NOISE_MPS', 3),
+    // After this many jumps in a row the device really is somewhere else
+    maxConsecutiveRejections: 5,
+    // A gap this long (tracking paused, signal lost) starts the filter over
+    resetAfterMs: 5 * 60 * 1000
+};
+
+function createFilterState() {
+    return {
+        latitude: null,
+        longitude: null,
+        variance: null, // m², null until the first fix
+        timestamp: null,
+        rejectedInARow: 0
+    };
+}
+
+function startFrom(state, fix, accuracy, timestamp) {
+    state.latitude = fix.latitude;
+    state.longitude = fix.longitude;
+    state.variance = accuracy * accuracy;
+    state.timestamp = timestamp;
+    state.rejectedInARow = 0;
+}
+
+function accepted(state) {
+    return {
+        accepted: true,
+        latitude: state.latitude,
+        longitude: state.longitude,
+        accuracy: Math.sqrt(state.variance) // m, of the estimate
+    };
+}
+
+function rejected(reason, detail) {
+    return { accepted: false, reason, ...detail };
+}
+
+// Run one fix ({ latitude, longitude, accuracy, timestamp }) through the
+// filter. Returns { accepted: true, latitude, longitude, accuracy } with the
+// filtered position, or { accepted: false, reason } for a dropped fix.
+function filterFix(state, fix, options = DEFAULT_FILTER_OPTIONS) {
+    const accuracy = fix.accuracy ?? options.defaultAccuracyMeters;
+    const timestamp = new Date(fix.timestamp || Date.now()).getTime();
+
+    if (accuracy > options.maxAccuracyMeters) {
+        return rejected('low_accuracy', { accuracy });
+    }
+
+    if (state.variance === null || timestamp - state.timestamp > options.resetAfterMs) {
+        startFrom(state, fix, accuracy, timestamp);
+        return accepted(state);
+    }
+
+    const seconds = (timestamp - state.timestamp) / 1000;
+    if (seconds <= 0) {
+        return rejected('out_of_order');
+    }
+
+    // Both the fix and the estimate are only known within their accuracy,
+    // so only the distance beyond that counts towards the implied speed
+    const distance = haversineDistance(state.latitude, state.longitude, fix.latitude, fix.longitude);
+    const impliedSpeed = Math.max(0, distance - accuracy - Math.sqrt(state.variance)) / seconds;
+    if (impliedSpeed > options.maxSpeedMps) {
+        state.rejectedInARow++;
+        if (state.rejectedInARow < options.maxConsecutiveRejections) {
+            return rejected('implied_speed', { impliedSpeed });
+        }
+
+        startFrom(state, fix, accuracy, timestamp);
+        return accepted(state);
+    }
+
+    // Predict: the position may have drifted since the last fix
+    state.variance += seconds * options.processNoiseMps * options.processNoiseMps;
+
+    // Update: move towards the fix in proportion to how much it is trusted
+    const gain = state.variance / (state.variance + accuracy * accuracy);
+    state.latitude += gain * (fix.latitude - state.latitude);
+    state.longitude += gain * (fix.longitude - state.longitude);
+    state.variance = (1 - gain) * state.variance;
+    state.timestamp = timestamp;
+    state.rejectedInARow = 0;
+
+    return accepted(state);
+}
+
+module.exports = {
+    DEFAULT_FILTER_OPTIONS,
+    createFilterState,
+    filterFix
+};
@@ -0,0 +1,137 @@
+// Privacy transforms for data that leaves the owner's hands: IP addresses
+// before they are stored, and positions before other devices see them.
+
+const crypto = require('crypto');
+const net = require('net');
+const { EARTH_RADIUS_METERS, toRad } = require('./geo');
+
+// 'none' stores the address as seen, 'truncate' zeroes its host part and
+// 'hash' replaces it with a keyed hash, which still tells visitors apart
+const IP_MODES = ['none', 'truncate', 'hash'];
+
+// 'coarse' snaps positions to the center of a grid cell, 'jitter' moves them
+// by a random offset that stays the same for a session, so averaging many
+// fixes does not undo it. Jitter keeps the shape of a track, coarse does not.
+const PRECISION_MODES = ['exact', 'coarse', 'jitter'];
+
+const METERS_PER_DEGREE = EARTH_RADIUS_METERS * Math.PI / 180;
+
+// The eight 16-bit groups of an IPv6 address
+function ipv6Groups(address) {
+    const [head, tail] = address.split('::');
+    const toGroups = part => (part ? part.split(':') : []).flatMap(group => {
+        if (!group.includes('.')) return [group];
+        // Embedded IPv4, e.g. 64:ff9b::192.0.2.1
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [((a << 8) | b).toString(16), ((c << 8) | d).toString(16)];
+    });
+
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const zeros = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+    return [...headGroups, ...zeros, ...tailGroups];
+}
+
+// Keep the network, drop the host: the last octet of an IPv4 address, all but
+// the /48 prefix of an IPv6 one. Anything that is not an IP is left alone.
+function truncateIp(ip) {
+    // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+    const address = String(ip).replace(/%.*$/, '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+    if (net.isIPv4(address)) {
+        return address.replace(/\.\d+$/, '.0');
+    }
+    if (net.isIPv6(address)) {
+        return `${ipv6Groups(address).slice(0, 3).map(group => parseInt(group, 16).toString(16)).join(':')}::`;
+    }
+    return ip;
+}
+
+// IP address as it may be stored
+function anonymizeIp(ip, mode, secret) {
+    if (!ip || mode === 'none') return ip;
+    if (mode === 'hash') {
+        return crypto.createHmac('sha256', secret).update(String(ip)).digest('hex').slice(0, 32);
+    }
+    return truncateIp(ip);
+}
+
+// Center of the grid cell, about cellMeters on a side, that holds a position
+function coarsenPosition(latitude, longitude, cellMeters) {
+    const latStep = cellMeters / METERS_PER_DEGREE;
+    const coarseLat = Math.max(-90, Math.min(90, (Math.floor(latitude / latStep) + 0.5) * latStep));
+
+    // Cells stay square on the ground, so they span more longitude towards the poles
+    const lngStep = Math.min(360, latStep / Math.max(Math.cos(toRad(coarseLat)), 1e-6));
+    const coarseLng = (Math.floor((longitude + 180) / lngStep) + 0.5) * lngStep - 180;
+
+    return { latitude: coarseLat, longitude: Math.min(180, coarseLng) };
+}
+
+// Source of numbers in [0, 1) that starts over the same for the same secret
+// and key, giving each key its own fixed random offset
+function keyedRandom(secret, key) {
+    const digest = crypto.createHmac('sha256', secret).update(String(key)).digest();
+    let offset = 0;
+    return () => {
+        const value = digest.readUInt32BE(offset) / 2 ** 32;
+        offset = (offset + 4) % digest.length;
+        return value;
+    };
+}
+
+// Position moved to a uniformly random spot within radiusMeters
+function jitterPosition(latitude, longitude, radiusMeters, random = Math.random) {
+    const distance = radiusMeters * Math.sqrt(random());
+    const bearing = 2 * Math.PI * random();
+
+    const jitteredLat = Math.max(-90, Math.min(90, latitude + distance * Math.cos(bearing) / METERS_PER_DEGREE));
+    const lngOffset = distance * Math.sin(bearing) / (METERS_PER_DEGREE * Math.max(Math.cos(toRad(latitude)), 1e-6));
+    const jitteredLng = ((longitude + lngOffset + 540) % 360) - 180;
+
+    return { latitude: jitteredLat, longitude: jitteredLng };
+}
+
+// Address no more precise than a city
+function coarsenAddress(address) {
+    if (!address) return address;
+
+    const { country, state, city } = address;
+    return {
+        country,
+        state,
+        city,
+        formattedAddress: [city, state, country].filter(Boolean).join(', ')
+    };
+}
+
+// Copy of a location ({ latitude, longitude, accuracy, address, ... }) as
+// other devices may see it at a precision mode. Reduced positions report the
+// precision as their accuracy and only keep the city of their address.
+// Jitter draws its offset from random, see keyedRandom.
+function reducePrecision(location, mode, meters, random = Math.random) {
+    if (mode === 'exact') return location;
+
+    const position = mode === 'jitter'
+        ? jitterPosition(location.latitude, location.longitude, meters, random)
+        : coarsenPosition(location.latitude, location.longitude, meters);
+
+    return {
+        ...location,
+        ...position,
+        accuracy: Math.max(location.accuracy || 0, meters),
+        address: coarsenAddress(location.address),
+        precision: mode
+    };
+}
+
+module.exports = {
+    IP_MODES,
+    PRECISION_MODES,
+    truncateIp,
+    anonymizeIp,
+    keyedRandom,
+    coarsenPosition,
+    jitterPosition,
+    reducePrecision
+};
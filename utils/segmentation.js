@@ -0,0 +1,104 @@
+// Splits a track into trips and stops with stay-point detection: a stop is a
+// run of points that all stay within a radius of its first point for at least
+// the minimum dwell time. Everything between two stops is a trip.
+
+const { haversineDistance } = require('./geo');
+
+function distanceBetween(a, b) {
+    return haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+}
+
+function locationOf(point) {
+    return {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        address: point.address?.formattedAddress
+    };
+}
+
+// The address most points of a stop were given
+function mostCommonAddress(points) {
+    const counts = new Map();
+    for (const point of points) {
+        const address = point.address?.formattedAddress;
+        if (address) {
+            counts.set(address, (counts.get(address) || 0) + 1);
+        }
+    }
+
+    let best;
+    for (const [address, count] of counts) {
+        if (!best || count > counts.get(best)) {
+            best = address;
+        }
+    }
+    return best;
+}
+
+function buildSegment(type, points) {
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += distanceBetween(points[i - 1], points[i]);
+    }
+
+    const segment = {
+        type,
+        startTime: new Date(first.timestamp),
+        endTime: new Date(last.timestamp),
+        duration: Math.round((last.timestamp - first.timestamp) / 1000),
+        distance: distance / 1000,
+        pointCount: points.length,
+        startLocation: locationOf(first),
+        endLocation: locationOf(last)
+    };
+
+    if (type === 'stop') {
+        segment.location = {
+            latitude: points.reduce((sum, point) => sum + point.latitude, 0) / points.length,
+            longitude: points.reduce((sum, point) => sum + point.longitude, 0) / points.length,
+            address: mostCommonAddress(points)
+        };
+    }
+
+    return segment;
+}
+
+// points: [{ latitude, longitude, timestamp (ms), address }] oldest first.
+// Trips share their first and last point with the stops around them.
+function segmentTrack(points, { stopRadiusMeters = 100, minStopSeconds = 300 } = {}) {
+    const segments = [];
+    let tripStart = 0;
+    let i = 0;
+
+    while (i < points.length) {
+        let j = i + 1;
+        while (j < points.length && distanceBetween(points[i], points[j]) <= stopRadiusMeters) {
+            j++;
+        }
+
+        const dwellSeconds = (points[j - 1].timestamp - points[i].timestamp) / 1000;
+        if (dwellSeconds >= minStopSeconds) {
+            if (i > tripStart) {
+                segments.push(buildSegment('trip', points.slice(tripStart, i + 1)));
+            }
+            segments.push(buildSegment('stop', points.slice(i, j)));
+            tripStart = j - 1;
+            i = j;
+        } else {
+            i++;
+        }
+    }
+
+    if (tripStart < points.length - 1) {
+        segments.push(buildSegment('trip', points.slice(tripStart)));
+    }
+
+    return segments;
+}
+
+module.exports = {
+    segmentTrack
+};
@@ -0,0 +1,74 @@
+// Douglas-Peucker simplification of tracks: drops the points that lie within a
+// tolerance of the line through their neighbours that are kept. Offsets are
+// measured on a local equirectangular projection, which is far more precise
+// than any useful tolerance at the length of a track segment.
+
+const { EARTH_RADIUS_METERS, toRad } = require('./geo');
+
+// Tolerances above this would flatten whole streets
+const MAX_TOLERANCE_METERS = 1000;
+
+// Distance in meters from point i to the segment from point a to point b
+function offsetFromSegment(latitudes, longitudes, i, a, b) {
+    const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+    const lngScale = Math.cos(toRad(latitudes[a]));
+
+    const x = (longitudes[i] - longitudes[a]) * lngScale * metersPerDegree;
+    const y = (latitudes[i] - latitudes[a]) * metersPerDegree;
+    const dx = (longitudes[b] - longitudes[a]) * lngScale * metersPerDegree;
+    const dy = (latitudes[b] - latitudes[a]) * metersPerDegree;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (x * dx + y * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - t * dx, y - t * dy);
+}
+
+// Which points of a track (given as parallel latitude and longitude arrays)
+// to keep; the first and last point always are. Iterative, so long tracks
+// cannot overflow the stack.
+function simplifyMask(latitudes, longitudes, toleranceMeters) {
+    const count = latitudes.length;
+    const keep = new Uint8Array(count);
+    if (count === 0) return keep;
+
+    keep[0] = 1;
+    keep[count - 1] = 1;
+
+    const stack = [[0, count - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+
+        let farthest = -1;
+        let maxOffset = toleranceMeters;
+        for (let i = first + 1; i < last; i++) {
+            const offset = offsetFromSegment(latitudes, longitudes, i, first, last);
+            if (offset > maxOffset) {
+                maxOffset = offset;
+                farthest = i;
+            }
+        }
+
+        if (farthest !== -1) {
+            keep[farthest] = 1;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+
+    return keep;
+}
+
+// Simplified copy of a list of { latitude, longitude } points
+function simplifyPoints(points, toleranceMeters) {
+    const keep = simplifyMask(
+        points.map(point => point.latitude),
+        points.map(point => point.longitude),
+        toleranceMeters
+    );
+    return points.filter((point, index) => keep[index]);
+}
+
+module.exports = {
+    MAX_TOLERANCE_METERS,
+    simplifyMask,
+    simplifyPoints
+};
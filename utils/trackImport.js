@@ -0,0 +1,446 @@
+// Parsers for uploaded GPX and GeoJSON tracks. Both report problems with the
+// line they were found on, so a user can fix the file and upload it again.
+// Parsers return { name, points, errors }; points are
+// { latitude, longitude, altitude, speed, timestamp (ms) } oldest first.
+
+const MAX_ERRORS = 100;
+
+class ErrorReport {
+    constructor() {
+        this.errors = [];
+    }
+
+    add(line, message) {
+        if (this.errors.length < MAX_ERRORS) {
+            this.errors.push({ line, message });
+        }
+    }
+}
+
+function parseTime(value) {
+    const timestamp = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Check a parsed position and add it to the points, or report why it was rejected
+function addPoint(points, report, line, { latitude, longitude, altitude, speed, time }) {
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        report.add(line, 'latitude must be a number between -90 and 90');
+        return;
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        report.add(line, 'longitude must be a number between -180 and 180');
+        return;
+    }
+    if (Number.isNaN(altitude)) {
+        report.add(line, 'elevation must be a number');
+        return;
+    }
+    if (Number.isNaN(speed)) {
+        report.add(line, 'speed must be a number');
+        return;
+    }
+
+    const timestamp = parseTime(time);
+    if (timestamp === null) {
+        report.add(line, time === undefined ? 'point has no time' : `invalid time "${time}"`);
+        return;
+    }
+
+    points.push({ latitude, longitude, altitude, speed, timestamp });
+}
+
+function finish(name, points, report) {
+    points.sort((a, b) => a.timestamp - b.timestamp);
+    if (points.length === 0 && report.errors.length === 0) {
+        report.add(1, 'file contains no track points');
+    }
+    return { name, points, errors: report.errors };
+}
+
+// --- GPX -------------------------------------------------------------------
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Code points XML allows in a document
+function isXmlChar(codePoint) {
+    return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+        (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+        (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+        (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+}
+
+// Replace entities in text found on a line; character references to code
+// points XML does not allow are reported and left as they are
+function decodeXml(text, report, line) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            if (!isXmlChar(codePoint)) {
+                report.add(line, `invalid character reference ${entity}`);
+                return entity;
+            }
+            return String.fromCodePoint(codePoint);
+        }
+        return XML_ENTITIES[code] ?? entity;
+    });
+}
+
+function parseAttributes(source, report, line) {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of source.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeXml(doubleQuoted ?? singleQuoted, report, line);
+    }
+    return attributes;
+}
+
+// Tag name without its namespace prefix
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+const GPX_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|</g;
+
+// Track points (trkpt) of a GPX 1.0 or 1.1 file. Routes (rte) are planned
+// rather than recorded and have no times, so they are not imported.
+function parseGpx(text) {
+    const report = new ErrorReport();
+    const points = [];
+    const stack = [];
+    let name = null;
+    let routeLine = null; // First <rte>, to explain a file without tracks
+    let current = null; // Point being read: { line, attributes, fields }
+    let textContent = '';
+    let line = 1;
+    let lastIndex = 0;
+
+    const advance = (index) => {
+        for (let i = lastIndex; i < index; i++) {
+            if (text.charCodeAt(i) === 10) line++;
+        }
+        lastIndex = index;
+    };
+
+    for (const match of text.matchAll(GPX_TOKEN)) {
+        const [token, cdata, closing, tagName, attributeSource, selfClosing] = match;
+
+        textContent += text.slice(lastIndex, match.index);
+        advance(match.index);
+        const tokenLine = line;
+        advance(match.index + token.length);
+
+        if (token === '<') {
+            report.add(tokenLine, 'malformed tag');
+            continue;
+        }
+        if (cdata !== undefined) {
+            textContent += cdata;
+            continue;
+        }
+        if (!tagName) {
+            // Comment, declaration or processing instruction
+            continue;
+        }
+
+        const tag = localName(tagName);
+
+        if (closing) {
+            const open = stack.lastIndexOf(tagName);
+            if (open === -1) {
+                report.add(tokenLine, `unexpected closing tag </${tagName}>`);
+                continue;
+            }
+            for (const unclosed of stack.splice(open).slice(1).reverse()) {
+                report.add(tokenLine, `<${unclosed}> is not closed before </${tagName}>`);
+            }
+
+            const value = decodeXml(textContent, report, tokenLine).trim();
+            if (current && tag === 'trkpt') {
+                addPoint(points, report, current.line, {
+                    latitude: parseOptionalNumber(current.attributes.lat),
+                    longitude: parseOptionalNumber(current.attributes.lon),
+                    altitude: parseOptionalNumber(current.fields.ele),
+                    speed: parseOptionalNumber(current.fields.speed),
+                    time: current.fields.time
+                });
+                current = null;
+            } else if (current && ['ele', 'time', 'speed'].includes(tag)) {
+                current.fields[tag] = value;
+            } else if (tag === 'name' && name === null && ['trk', 'metadata'].includes(localName(stack[stack.length - 1] || ''))) {
+                name = value;
+            }
+        } else {
+            if (stack.length === 0 && tag !== 'gpx') {
+                report.add(tokenLine, `expected <gpx> as the root element, found <${tagName}>`);
+                return finish(name, points, report);
+            }
+
+            if (tag === 'rte' && routeLine === null) {
+                routeLine = tokenLine;
+            }
+
+            if (tag === 'trkpt') {
+                if (current) {
+                    report.add(tokenLine, `<${tagName}> inside another point`);
+                }
+                current = { line: tokenLine, attributes: parseAttributes(attributeSource, report, tokenLine), fields: {} };
+                if (selfClosing) {
+                    addPoint(points, report, tokenLine, {
+                        latitude: parseOptionalNumber(current.attributes.lat),
+                        longitude: parseOptionalNumber(current.attributes.lon),
+                        time: undefined
+                    });
+                    current = null;
+                }
+            }
+
+            if (!selfClosing) {
+                stack.push(tagName);
+            }
+        }
+
+        textContent = '';
+    }
+
+    advance(text.length);
+    for (const unclosed of stack.reverse()) {
+        report.add(line, `<${unclosed}> is not closed at the end of the file`);
+    }
+    if (points.length === 0 && routeLine !== null) {
+        report.add(routeLine, 'routes have no times and cannot be imported, export the recorded track (<trk>) instead');
+    }
+
+    return finish(name, points, report);
+}
+
+// --- GeoJSON ---------------------------------------------------------------
+
+// JSON parser that remembers the line every object and array started on
+function parseJsonWithLines(text) {
+    const lines = new WeakMap();
+    let pos = 0;
+    let line = 1;
+
+    const fail = (message) => {
+        const error = new SyntaxError(message);
+        error.line = line;
+        throw error;
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length) {
+            const char = text[pos];
+            if (char === '\n') {
+                line++;
+            } else if (char !== ' ' && char !== '\t' && char !== '\r') {
+                break;
+            }
+            pos++;
+        }
+    };
+
+    const readToken = (pattern, description) => {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) fail(`expected ${description}`);
+        pos += match[0].length;
+        return match[0];
+    };
+
+    const STRING = /"(?:[^"\\\n\r]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+    const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    const LITERAL = /true|false|null/y;
+
+    const parseValue = () => {
+        skipWhitespace();
+        const char = text[pos];
+
+        if (char === '{') {
+            const object = {};
+            lines.set(object, line);
+            pos++;
+            skipWhitespace();
+            if (text[pos] === '}') {
+                pos++;
+                return object;
+            }
+            for (;;) {
+                skipWhitespace();
+                const key = JSON.parse(readToken(STRING, 'a property name in double quotes'));
+                skipWhitespace();
+                if (text[pos] !== ':') fail(`expected ':' after "${key}"`);
+                pos++;
+                object[key] = parseValue();
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === '}') {
+                    pos++;
+                    return object;
+                } else {
+                    fail(`expected ',' or '}' after the value of "${key}"`);
+                }
+            }
+        }
+
+        if (char === '[') {
+            const array = [];
+            lines.set(array, line);
+            pos++;
+            skipWhitespace();
+            if (text[pos] === ']') {
+                pos++;
+                return array;
+            }
+            for (;;) {
+                array.push(parseValue());
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === ']') {
+                    pos++;
+                    return array;
+                } else {
+                    fail("expected ',' or ']' in array");
+                }
+            }
+        }
+
+        if (char === '"') return JSON.parse(readToken(STRING, 'a valid string'));
+        if (char === '-' || (char >= '0' && char <= '9')) return Number(readToken(NUMBER, 'a number'));
+        if (char === 't' || char === 'f' || char === 'n') return JSON.parse(readToken(LITERAL, 'a value'));
+
+        return fail(pos >= text.length ? 'unexpected end of file' : `unexpected character '${char}'`);
+    };
+
+    const value = parseValue();
+    skipWhitespace();
+    if (pos < text.length) fail('unexpected content after the end of the document');
+
+    return { value, lineOf: (node) => lines.get(node) || 1 };
+}
+
+// Points of GeoJSON Point, LineString and MultiLineString features. Times come
+// from a Point's "time"/"timestamp" property, or from a line's "coordTimes"
+// (or "times") property with one entry per position.
+function parseGeoJson(text) {
+    const report = new ErrorReport();
+    const points = [];
+
+    let parsed;
+    try {
+        parsed = parseJsonWithLines(text);
+    } catch (error) {
+        report.add(error.line || 1, `invalid JSON: ${error.message}`);
+        return finish(null, points, report);
+    }
+    const { value: root, lineOf } = parsed;
+
+    const readPosition = (position, time, speed) => {
+        if (!Array.isArray(position) || position.length < 2) {
+            report.add(lineOf(position), 'position must be an array of [longitude, latitude, elevation?]');
+            return;
+        }
+        addPoint(points, report, lineOf(position), {
+            longitude: position[0],
+            latitude: position[1],
+            altitude: position[2] === undefined ? undefined : parseOptionalNumber(position[2]),
+            speed: parseOptionalNumber(speed),
+            time
+        });
+    };
+
+    const readLine = (positions, times, featureLine) => {
+        if (!Array.isArray(positions)) {
+            report.add(featureLine, 'LineString coordinates must be an array of positions');
+            return;
+        }
+        if (!Array.isArray(times)) {
+            report.add(featureLine, 'LineString needs a "coordTimes" property with a time for every position');
+            return;
+        }
+        if (times.length !== positions.length) {
+            report.add(lineOf(times), `"coordTimes" has ${times.length} entries for ${positions.length} positions`);
+            return;
+        }
+        positions.forEach((position, index) => readPosition(position, times[index]));
+    };
+
+    const readFeature = (feature) => {
+        if (!feature || typeof feature !== 'object' || feature.type !== 'Feature') {
+            report.add(lineOf(feature), 'expected a GeoJSON Feature');
+            return;
+        }
+
+        const { geometry, properties = {} } = feature;
+        const featureLine = lineOf(feature);
+        if (!geometry || typeof geometry !== 'object') {
+            report.add(featureLine, 'feature has no geometry');
+            return;
+        }
+
+        const times = properties?.coordTimes || properties?.times;
+        switch (geometry.type) {
+            case 'Point':
+                readPosition(geometry.coordinates, properties?.time ?? properties?.timestamp, properties?.speed);
+                break;
+            case 'LineString':
+                readLine(geometry.coordinates, times, lineOf(geometry));
+                break;
+            case 'MultiLineString':
+                if (!Array.isArray(geometry.coordinates)) {
+                    report.add(lineOf(geometry), 'MultiLineString coordinates must be an array of lines');
+                    break;
+                }
+                geometry.coordinates.forEach((positions, index) => {
+                    readLine(positions, Array.isArray(times?.[0]) ? times[index] : undefined, lineOf(geometry));
+                });
+                break;
+            default:
+                report.add(lineOf(geometry), `unsupported geometry type "${geometry.type}", use Point, LineString or MultiLineString`);
+        }
+    };
+
+    let name = null;
+    if (root?.type === 'FeatureCollection') {
+        name = typeof root.name === 'string' ? root.name : null;
+        if (!Array.isArray(root.features)) {
+            report.add(lineOf(root), 'FeatureCollection has no "features" array');
+        } else {
+            root.features.forEach(readFeature);
+        }
+    } else if (root?.type === 'Feature') {
+        name = typeof root.properties?.name === 'string' ? root.properties.name : null;
+        readFeature(root);
+    } else {
+        report.add(lineOf(root), 'expected a GeoJSON FeatureCollection or Feature');
+    }
+
+    return finish(name, points, report);
+}
+
+// Guess the format from the content when none was given
+function detectFormat(text) {
+    const start = text.trimStart();
+    if (start.startsWith('<')) return 'gpx';
+    if (start.startsWith('{')) return 'geojson';
+    return null;
+}
+
+const PARSERS = {
+    gpx: parseGpx,
+    geojson: parseGeoJson
+};
+
+module.exports = {
+    PARSERS,
+    detectFormat,
+    parseGpx,
+    parseGeoJson
+};
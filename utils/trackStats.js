@@ -0,0 +1,117 @@
+// Incremental session statistics from a stream of location fixes.
+// Distance and max speed follow the client's updateStatistics: every fix adds
+// the haversine distance from the previous one, and max speed is the highest
+// speed reported by the device.
+
+const { haversineDistance } = require('./geo');
+
+// Slower than this between two fixes counts as standing still
+const MOVING_SPEED_MPS = parseFloat(process.env.MOVING_SPEED_MPS) || 0.5;
+
+// Longer gaps between fixes (tracking paused, signal lost) count as neither moving nor idle
+const MAX_SEGMENT_GAP_MS = 5 * 60 * 1000;
+
+// Altitude changes smaller than this are treated as GPS noise
+const ELEVATION_THRESHOLD_METERS = 3;
+
+// Fields match the UserAnalytics schema
+function createTrackStats() {
+    return {
+        totalLocationUpdates: 0,
+        totalDistance: 0, // km
+        movingDistance: 0, // km
+        maxSpeed: 0, // km/h
+        averageSpeed: 0, // km/h while moving
+        movingTime: 0, // seconds
+        idleTime: 0, // seconds
+        trackingDuration: 0, // seconds
+        elevationGain: 0, // meters
+        elevationLoss: 0, // meters
+        elevationReference: null,
+        startLocation: null,
+        endLocation: null
+    };
+}
+
+// Add one fix ({ latitude, longitude, altitude, speed, timestamp }) to the
+// statistics. Works on plain objects and on UserAnalytics documents.
+function addFix(stats, fix, address) {
+    const timestamp = new Date(fix.timestamp || Date.now()).getTime();
+    const previous = stats.totalLocationUpdates > 0 ? stats.endLocation : null;
+
+    stats.totalLocationUpdates += 1;
+
+    if (previous) {
+        const distanceKm = haversineDistance(previous.latitude, previous.longitude, fix.latitude, fix.longitude) / 1000;
+        stats.totalDistance += distanceKm;
+
+        const elapsedMs = timestamp - new Date(previous.timestamp).getTime();
+        if (elapsedMs > 0 && elapsedMs <= MAX_SEGMENT_GAP_MS) {
+            const segmentSpeed = (distanceKm * 1000) / (elapsedMs / 1000);
+            if (Math.max(segmentSpeed, fix.speed || 0) >= MOVING_SPEED_MPS) {
+                stats.movingTime += elapsedMs / 1000;
+                stats.movingDistance += distanceKm;
+            } else {
+                stats.idleTime += elapsedMs / 1000;
+            }
+        }
+    }
+
+    // Reported speed is m/s, stored max speed is km/h
+    if (fix.speed && fix.speed * 3.6 > stats.maxSpeed) {
+        stats.maxSpeed = fix.speed * 3.6;
+    }
+
+    stats.averageSpeed = stats.movingTime > 0 ? stats.movingDistance / (stats.movingTime / 3600) : 0;
+
+    if (typeof fix.altitude === 'number') {
+        if (typeof stats.elevationReference !== 'number') {
+            stats.elevationReference = fix.altitude;
+        } else {
+            const climb = fix.altitude - stats.elevationReference;
+            if (Math.abs(climb) >= ELEVATION_THRESHOLD_METERS) {
+                if (climb > 0) {
+                    stats.elevationGain += climb;
+                } else {
+                    stats.elevationLoss -= climb;
+                }
+                stats.elevationReference = fix.altitude;
+            }
+        }
+    }
+
+    const location = {
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        address: address?.formattedAddress,
+        timestamp: new Date(timestamp)
+    };
+
+    // Set start location if this is the first update
+    if (!previous) {
+        stats.startLocation = location;
+    }
+
+    // Always update end location
+    stats.endLocation = location;
+
+    // Records from before start times were kept have no duration to compute
+    const startedAt = new Date(stats.startLocation.timestamp).getTime();
+    if (Number.isFinite(startedAt)) {
+        stats.trackingDuration = Math.round((timestamp - startedAt) / 1000);
+    }
+
+    return stats;
+}
+
+// Statistics of a complete track, fixes oldest first
+function computeTrackStats(fixes) {
+    return fixes.reduce((stats, fix) => addFix(stats, fix), createTrackStats());
+}
+
+module.exports = {
+    MOVING_SPEED_MPS,
+    createTrackStats,
+    addFix,
+    computeTrackStats
+};
@@ -0,0 +1,165 @@
+// Schema validation for payloads of inbound socket events
+
+const { PRECISION_MODES } = require('./privacy');
+
+const MAX_SPEED_MPS = parseFloat(process.env.MAX_SPEED_MPS) || 150; // ~540 km/h
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const MAX_TIMESTAMP_AGE_MS = 24 * 60 * 60 * 1000;
+
+const ERROR_CODES = {
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    MISSING_FIELD: 'MISSING_FIELD',
+    INVALID_TYPE: 'INVALID_TYPE',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    INVALID_VALUE: 'INVALID_VALUE',
+    SPEED_TOO_HIGH: 'SPEED_TOO_HIGH',
+    FUTURE_TIMESTAMP: 'FUTURE_TIMESTAMP',
+    STALE_TIMESTAMP: 'STALE_TIMESTAMP'
+};
+
+const FEATURES = ['startTracking', 'stopTracking', 'satelliteView', 'trailMode', 'speedMode'];
+
+const coordinateFields = {
+    latitude: { type: 'number', required: true, min: -90, max: 90 },
+    longitude: { type: 'number', required: true, min: -180, max: 180 }
+};
+
+// Field rules per event. Fields not listed here are dropped from the payload.
+const schemas = {
+    locationUpdate: {
+        ...coordinateFields,
+        accuracy: { type: 'number', min: 0, max: 100000 },
+        altitude: { type: 'number', min: -1000, max: 20000 },
+        speed: { type: 'number', min: 0, max: MAX_SPEED_MPS, code: ERROR_CODES.SPEED_TOO_HIGH },
+        timestamp: { type: 'timestamp' }
+    },
+    'request-environmental-data': {
+        ...coordinateFields
+    },
+    'feature-used': {
+        feature: { type: 'string', required: true, oneOf: FEATURES }
+    },
+    // Only what other devices show in their labels; everything else is dropped
+    'device-connected': {
+        name: { type: 'string', maxLength: 40 },
+        platform: { type: 'string', maxLength: 30 },
+        browser: { type: 'string', maxLength: 30 },
+        mobile: { type: 'boolean' }
+    },
+    'device-status': {
+        status: { type: 'string', maxLength: 50 },
+        battery: { type: 'number', min: 0, max: 100 },
+        charging: { type: 'boolean' },
+        network: { type: 'string', maxLength: 20 }
+    },
+    'privacy-settings': {
+        precision: { type: 'string', oneOf: PRECISION_MODES },
+        sharingPaused: { type: 'boolean' }
+    },
+    'join-group': {
+        inviteCode: { type: 'string', required: true, maxLength: 16 }
+    },
+    // Carries nothing; the group learns only which socket left
+    'device-disconnected': {}
+};
+
+function fail(code, field, message) {
+    return { valid: false, error: { code, field, message } };
+}
+
+// Normalize a timestamp given as epoch milliseconds or a date string
+function parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim()) return Date.parse(value);
+    return NaN;
+}
+
+function validateField(field, rule, value) {
+    if (rule.type === 'timestamp') {
+        const timestamp = parseTimestamp(value);
+        if (!Number.isFinite(timestamp)) {
+            return fail(ERROR_CODES.INVALID_TYPE, field, `${field} must be epoch milliseconds or a date string`);
+        }
+
+        const now = Date.now();
+        if (timestamp > now + MAX_CLOCK_SKEW_MS) {
+            return fail(ERROR_CODES.FUTURE_TIMESTAMP, field, `${field} is in the future`);
+        }
+        if (timestamp < now - MAX_TIMESTAMP_AGE_MS) {
+            return fail(ERROR_CODES.STALE_TIMESTAMP, field, `${field} is more than 24 hours old`);
+        }
+        return { valid: true, value: timestamp };
+    }
+
+    if (rule.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return fail(ERROR_CODES.INVALID_TYPE, field, `${field} must be a finite number`);
+        }
+        if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+            return fail(rule.code || ERROR_CODES.OUT_OF_RANGE, field, `${field} must be between ${rule.min} and ${rule.max}`);
+        }
+        return { valid: true, value };
+    }
+
+    if (rule.type === 'string') {
+        if (typeof value !== 'string') {
+            return fail(ERROR_CODES.INVALID_TYPE, field, `${field} must be a string`);
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return fail(ERROR_CODES.OUT_OF_RANGE, field, `${field} must be at most ${rule.maxLength} characters`);
+        }
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            return fail(ERROR_CODES.INVALID_VALUE, field, `${field} must be one of: ${rule.oneOf.join(', ')}`);
+        }
+        return { valid: true, value };
+    }
+
+    if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+            return fail(ERROR_CODES.INVALID_TYPE, field, `${field} must be a boolean`);
+        }
+        return { valid: true, value };
+    }
+
+    return fail(ERROR_CODES.INVALID_PAYLOAD, field, `No rule for ${field}`);
+}
+
+// Validate the payload of a socket event. Returns { valid: true, value } with
+// only the known fields, or { valid: false, error: { code, field, message } }.
+function validateEvent(eventName, payload) {
+    const schema = schemas[eventName];
+    if (!schema) {
+        return fail(ERROR_CODES.INVALID_PAYLOAD, null, `Unknown event: ${eventName}`);
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return fail(ERROR_CODES.INVALID_PAYLOAD, null, 'Payload must be an object');
+    }
+
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const fieldValue = payload[field];
+
+        // Browsers report unknown speed/altitude/accuracy as null
+        if (fieldValue === undefined || fieldValue === null) {
+            if (rule.required) {
+                return fail(ERROR_CODES.MISSING_FIELD, field, `${field} is required`);
+            }
+            continue;
+        }
+
+        const result = validateField(field, rule, fieldValue);
+        if (!result.valid) {
+            return result;
+        }
+        value[field] = result.value;
+    }
+
+    return { valid: true, value };
+}
+
+module.exports = {
+    ERROR_CODES,
+    FEATURES,
+    validateEvent
+};